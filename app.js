@@ -9,7 +9,12 @@ const cors = require('cors');
 const jsonpath = require('jsonpath');
 const Document = require('adf-builder').Document;
 const prettyjson = require('prettyjson');
-const ChessApi = require('./chess-api');
+const GameRegistry = require('./games');
+const CommandParser = require('./command-parser');
+const GameClock = require('./game-clock');
+const Puzzles = require('./puzzles');
+const ConversationSettings = require('./conversation-settings');
+const Messages = require('./messages');
 const jsonfile = require('jsonfile')
 
 function prettify_json(data, options = {}) {
@@ -163,6 +168,18 @@ class GameStore {
 
     this.gameData = objectToMapOfObjects(input.gameData) // by id -> game jsons
     this.games = objectToMapOfSets(input.games) // cloudId:conversationId:playerId:gameName -> sets of game_id
+    this.handles = objectToMapOfObjects(input.handles || {}) // cloudId:conversationId:#handle -> game_id
+    this.lastHandles = objectToMapOfObjects(input.lastHandles || {}) // cloudId:conversationId -> last handle given out
+    this.finishedGames = objectToMapOfObjects(input.finishedGames || {}) // cloudId:conversationId:playerId -> last finished game, for rematches
+
+    // games saved before moves were timed would never count as idle, so their wait starts now (or when they started)
+    const untimedGames = [...this.gameData.values()].filter(game => !game.last_move_at)
+    if (untimedGames.length > 0) {
+      untimedGames.forEach(game => {
+        game.last_move_at = game.started_at || Date.now()
+      })
+      this.save()
+    }
   }
 
   save() {
@@ -181,7 +198,10 @@ class GameStore {
 
     const output = {
       gameData: mapOfObjectsToObject(this.gameData),
-      games: mapOfSetsToObject(this.games)
+      games: mapOfSetsToObject(this.games),
+      handles: mapOfObjectsToObject(this.handles),
+      lastHandles: mapOfObjectsToObject(this.lastHandles),
+      finishedGames: mapOfObjectsToObject(this.finishedGames)
     }
     
     jsonfile.writeFileSync(this.jsonFile, output)
@@ -201,10 +221,54 @@ class GameStore {
     return result
   }
 
+  getConversationGameIds({cloudId, conversationId}) {
+    if (!cloudId) throw new Error('cloudId not specified')
+    if (!conversationId) throw new Error('conversationId not specified')
+
+    const prefix = `${cloudId}:${conversationId}:`
+    const gameIds = new Set()
+    ;[...this.games].filter(pair => pair[0].startsWith(prefix) && pair[0].endsWith(':_all'))
+      .forEach(pair => pair[1].forEach(gameId => gameIds.add(gameId)))
+    return [...gameIds]
+  }
+
+  // every active game, along with the conversation it is played in
+  getActiveGames() {
+    const gameIds = new Set()
+    const activeGames = []
+    ;[...this.games].filter(pair => pair[0].endsWith(':_all')).forEach(pair => {
+      const [cloudId, conversationId] = pair[0].split(':')
+      pair[1].forEach(gameId => {
+        if (!gameIds.has(gameId)) {
+          gameIds.add(gameId)
+          activeGames.push({cloudId, conversationId, game: this.gameData.get(gameId)})
+        }
+      })
+    })
+    return activeGames
+  }
+
   getGameData(game_id) {
     return this.gameData.get(game_id)
   }
 
+  getGameIdByHandle({cloudId, conversationId, handle}) {
+    if (!cloudId) throw new Error('cloudId not specified')
+    if (!conversationId) throw new Error('conversationId not specified')
+
+    return this.handles.get(`${cloudId}:${conversationId}:#${handle}`)
+  }
+
+  // handles are short numbers, unique within a conversation, so that players can say which game they mean
+  nextHandle({cloudId, conversationId}) {
+    if (!cloudId) throw new Error('cloudId not specified')
+    if (!conversationId) throw new Error('conversationId not specified')
+
+    const handle = (this.lastHandles.get(`${cloudId}:${conversationId}`) || 0) + 1
+    this.lastHandles.set(`${cloudId}:${conversationId}`, handle)
+    return handle
+  }
+
   addGame({cloudId, conversationId, gameName, playerIds, game}) {
     if (!cloudId) throw new Error('cloudId not specified')
     if (!conversationId) throw new Error('cloudId not specified')
@@ -215,6 +279,9 @@ class GameStore {
 
     const gameId = game.game_id
     this.gameData.set(gameId, game)
+    if (game.handle) {
+      this.handles.set(`${cloudId}:${conversationId}:#${game.handle}`, gameId)
+    }
 
     this.addToValues(`${cloudId}:${conversationId}:${playerIdsCombined}:_all`, gameId)
     this.addToValues(`${cloudId}:${conversationId}:${playerIdsCombined}:${gameName}`, gameId)
@@ -227,6 +294,38 @@ class GameStore {
     this.save()
   }
 
+  // the last finished game of the given players, or of a single player with anyone
+  getFinishedGame({cloudId, conversationId, playerIds}) {
+    if (!cloudId) throw new Error('cloudId not specified')
+    if (!conversationId) throw new Error('conversationId not specified')
+    if (!playerIds || playerIds.length < 1) throw new Error('playerIds must have at least one player id')
+
+    return this.finishedGames.get(`${cloudId}:${conversationId}:${playerIds.sort().join(',')}`)
+  }
+
+  // remembers who played which side, so that a rematch can swap them, and the PGN to export
+  addFinishedGame({cloudId, conversationId, playerIds, game}) {
+    if (!cloudId) throw new Error('cloudId not specified')
+    if (!conversationId) throw new Error('conversationId not specified')
+    if (!playerIds || playerIds.length < 1) throw new Error('playerIds must have at least one player id')
+
+    const gameType = GameRegistry.get(game.game_name || 'chess')
+    const finishedGame = {
+      game_name: game.game_name,
+      contacts: game.game_players.map(game_player => game_player.contact),
+      ai_level: game.ai_level,
+      time_control: game.clock && game.clock.time_control,
+      start_fen: gameType.startPosition ? gameType.startPosition(game) : null,
+      handle: game.handle,
+      pgn: gameType.toPgn ? gameType.toPgn(game) : null
+    }
+
+    this.finishedGames.set(`${cloudId}:${conversationId}:${playerIds.slice().sort().join(',')}`, finishedGame)
+    playerIds.forEach(playerId => {
+      this.finishedGames.set(`${cloudId}:${conversationId}:${playerId}`, finishedGame)
+    })
+  }
+
   removeGame({cloudId, conversationId, gameName, playerIds, gameId}) {
     if (!cloudId) throw new Error('cloudId not specified')
     if (!conversationId) throw new Error('cloudId not specified')
@@ -235,6 +334,10 @@ class GameStore {
 
     const playerIdsCombined = playerIds.sort().join(',')
 
+    const game = this.gameData.get(gameId)
+    if (game && game.handle) {
+      this.handles.delete(`${cloudId}:${conversationId}:#${game.handle}`)
+    }
     this.gameData.delete(gameId)
 
     this.removeFromValues(`${cloudId}:${conversationId}:${playerIdsCombined}:_all`, gameId)
@@ -270,6 +373,60 @@ class GameStore {
   }
 }
 
+// the puzzle each conversation is solving, and who solved the puzzles there
+class PuzzleStore {
+  constructor(jsonFile) {
+    this.jsonFile = jsonFile
+    this.conversations = jsonfile.readFileSync(this.jsonFile, {throws:false}) || {} // cloudId:conversationId -> puzzle and streaks
+  }
+
+  save() {
+    console.log(`Saving puzzles to ${this.jsonFile}`)
+    jsonfile.writeFileSync(this.jsonFile, this.conversations)
+  }
+
+  get({cloudId, conversationId}) {
+    if (!cloudId) throw new Error('cloudId not specified')
+    if (!conversationId) throw new Error('conversationId not specified')
+
+    return this.conversations[`${cloudId}:${conversationId}`]
+  }
+
+  // the puzzle of a new day, the streaks carrying on from the previous one
+  startPuzzle({cloudId, conversationId, puzzleId, day}) {
+    if (!cloudId) throw new Error('cloudId not specified')
+    if (!conversationId) throw new Error('conversationId not specified')
+
+    const previous = this.get({cloudId, conversationId})
+    const conversation = {
+      puzzle_id: puzzleId,
+      day,
+      previous_day: previous ? previous.day : null,
+      solvers: [],
+      streaks: previous ? previous.streaks : {} // playerId -> {name, current, best, last_day}
+    }
+    this.conversations[`${cloudId}:${conversationId}`] = conversation
+    this.save()
+    return conversation
+  }
+
+  // a streak goes on when the player also solved the puzzle before, otherwise it starts over
+  addSolver({cloudId, conversationId, player}) {
+    const conversation = this.get({cloudId, conversationId})
+    const streak = conversation.streaks[player.id] || {current: 0, best: 0}
+
+    streak.name = player.text
+    streak.current = streak.last_day === conversation.previous_day ? streak.current + 1 : 1
+    streak.best = Math.max(streak.best, streak.current)
+    streak.last_day = conversation.day
+    conversation.streaks[player.id] = streak
+    conversation.solvers.push(player.id)
+
+    this.save()
+    return streak
+  }
+}
+
 function shuffle(array) {
   for (let i = array.length - 1; i > 0; i--) {
     const j = Math.floor(Math.random() * (i + 1));
@@ -278,104 +435,764 @@ function shuffle(array) {
   return array;
 }
 
+function timeAgo(time, messages) {
+  const units = [['day', 24 * 60 * 60 * 1000], ['hour', 60 * 60 * 1000], ['minute', 60 * 1000]]
+  const elapsed = Date.now() - time
+  for (const [unit, length] of units) {
+    const count = Math.floor(elapsed / length)
+    if (count >= 1) {
+      return messages.ago(count, unit)
+    }
+  }
+  return messages.justNow
+}
+
+// the settings of a conversation, with their defaults when it was never configured, see conversation-settings.js
+function conversationSettings(conversationId) {
+  return ConversationSettings.read(configStore[conversationId])
+}
+
+// the AI level of new games against the AI, unless the conversation configured one
+function defaultAiLevel(conversationId, gameType) {
+  const level = conversationSettings(conversationId).defaultAiLevel
+  return level >= 1 && level <= gameType.ai.maxLevel ? level : gameType.ai.defaultLevel
+}
+
+// how boards are shown in a conversation: as an image (when the game can draw one), or as text
+function boardStyle(conversationId) {
+  return conversationSettings(conversationId).boardStyle
+}
+
+// whether a user may start games in a conversation
+function mayStartGames(conversationId, userId) {
+  const settings = conversationSettings(conversationId)
+  return settings.whoMayStart === 'anyone' || settings.starters.indexOf(userId) >= 0
+}
+
 const BOT_NAME = '@Tabletop'
 
 const gameStore = new GameStore(`${STORE_DIRECTORY}/games.json`)
+const puzzleStore = new PuzzleStore(`${STORE_DIRECTORY}/puzzles.json`)
 
-async function gameBot({reqBody}) {
+/**
+ * Handles a bot mention, a command sent from a dialog, or an event happening to a game in the background
+ * (then reqBody only holds the conversation)
+ * @param formCommand: a command filled in in a dialog, as the command parser would return it,
+ *   with the id of the opponent when it's a human (reqBody then holds the conversation and the sender)
+ * @param event: {type: 'timeout', game, playerNumber} when a player ran out of time,
+ *   {type: 'reminder', game, reminder, abandonAt} when a game has been waiting for a move for too long,
+ *   {type: 'abandon', game} when it has been waiting for so long it's given up on,
+ *   or {type: 'puzzle'} when it's time for the conversation's puzzle of the day
+ */
+async function gameBot({reqBody, event, formCommand}) {
   const cloudId = reqBody.cloudId;
   const conversationId = reqBody.conversation.id;
-  const senderId = reqBody.sender.id;
+  const senderId = reqBody.sender && reqBody.sender.id;
+  // the replies of the bot, in the language of the conversation
+  const messages = Messages.messagesIn(conversationSettings(conversationId).language);
   //const messageId = reqBody.message.id;
   //let user;
 
-  return await processInput()
+  return await (event ? processEvent() : processInput())
+
+  async function processEvent() {
+    if (event.type === 'timeout') {
+      return await timeOut(event.game, event.playerNumber)
+    } else if (event.type === 'reminder') {
+      return await remindIdlePlayers(event.game, event.reminder, event.abandonAt)
+    } else if (event.type === 'abandon') {
+      return await abandonGame(event.game)
+    } else if (event.type === 'puzzle') {
+      return await postPuzzle()
+    }
+  }
+
+  async function remindIdlePlayers(game, reminder, abandonAt) {
+    const players = gamePlayers(game)
+    const idlePlayers = game.current_game_state.state.next_players.map(player_number => players[player_number])
+      .filter(player => player.id !== '_none')
+    if (idlePlayers.length === 0) {
+      return
+    }
+    const opponents = players.filter(player => idlePlayers.indexOf(player) < 0)
+
+    const gameName = `${game.handle ? `#${game.handle} ` : ''}${gameTypeOf(game).name}`
+    const lines = [':alarm_clock:', ...messages.reminder(reminder, idlePlayers, opponents.map(player => player.text), gameName,
+      timeAgo(game.last_move_at, messages))]
+    if (reminder > 1 && abandonAt) {
+      lines.push(messages.abandonWarning(new Date(abandonAt).toUTCString()))
+    }
+    return await replyWithMessage(reqBody, ...lines)
+  }
+
+  async function abandonGame(game) {
+    const gameName = gameTypeOf(game).name
+    const players = gamePlayers(game)
+
+    stopClock(game)
+    await gameTypeOf(game).rules.abandon(game)
+
+    const board = await replyOnBoard(game, players, game.message_id)
+    game.message_id = board.id
+
+    return await endGame(game, gameName, players)
+  }
 
   async function processInput() {
-    const command = extractCommand()
+    const {command, error} = formCommand ? {command: formCommand} : extractCommand()
+    if (error) {
+      return await replyWithMessage(reqBody, ':thinking:', CommandParser.describeParseError(error), messages.mentionForHelp(BOT_NAME))
+    }
     if (command) {
       let gameName = command.gameName
-      let players = await extractPlayers()
+      let players = await extractPlayers(command)
       const sender = players[players.length - 1]
-      if (command.action === 'start') {
+      if (command.action === 'list') {
+        return await listGames(command.mine ? sender : null)
+      } else if (command.action === 'puzzle') {
+        return await (command.answer ? answerPuzzle(sender, command.answer) : showPuzzle())
+      } else if (['start', 'import', 'rematch'].indexOf(command.action) >= 0 && !mayStartGames(conversationId, senderId)) {
+        return await replyWithMessage(reqBody, ':disapproval:', messages.onlySomeMayStart(BOT_NAME))
+      } else if (command.action === 'start' || command.action === 'import') {
         if (!command.opponent.isHuman && players.length === 1) {
           players.push({id: '_none', text: 'AI'})
         }
 
-        if (players.length === 2) {
+        if (players.length === 2) {
+          const opponent = players.find(player => player !== sender)
+          if (command.color === 'white') {
+            players = [sender, opponent]
+          } else if (command.color === 'black') {
+            players = [opponent, sender]
+          } else if (command.action === 'import') {
+            // a game carries on with the sides it had, the sender playing White unless they say otherwise
+            players = [sender, opponent]
+          } else {
+            shuffle(players)
+          }
+
+          if (command.action === 'import') {
+            return await importGame({gameName, players, aiLevel: command.aiLevel, timeControl: command.timeControl, record: command.record})
+          }
+          return await startGame({gameName, players, aiLevel: command.aiLevel, timeControl: command.timeControl, fen: command.fen})
+        }
+      } else if (command.action === 'rematch') {
+        if (command.opponent && !command.opponent.isHuman) {
+          players.push({id: '_none', text: 'AI'})
+        }
+
+        const playerIds = players.map(player => player.id)
+        const finishedGame = gameStore.getFinishedGame({cloudId, conversationId, playerIds})
+        if (!finishedGame || (gameName && finishedGame.game_name !== gameName)) {
+          return await replyWithMessage(reqBody, ':disapproval:', messages.noFinishedGame)
+        }
+
+        // the same game, with sides swapped
+        players = finishedGame.contacts.map(contact => {
+          const split = contact.split(':', 3)
+          return {id: split[1], text: split[2]}
+        }).reverse()
+
+        return await startGame({gameName: finishedGame.game_name, players, aiLevel: finishedGame.ai_level,
+          timeControl: finishedGame.time_control, fen: finishedGame.start_fen})
+      } else if (command.action === 'move') {
+        const game = await findGame(command, players)
+        if (!game) {
+          return
+        }
+        gameName = gameTypeOf(game).name
+
+        // go from player indexes to player objects' contacts
+        // then split the contacts by ':'
+        // expecting format 'stride:5a430b108111c32c4340fc8f:@someone'
+        // expecting format 'stride:123456~5a430b108111c32c4340fc8f:@someone'
+        const nextPlayerContacts = game.current_game_state.state.next_players.map(player_number => game.game_players[player_number].contact.split(':', 3))
+          .filter(contact => contact[0] === 'stride')
+        if (nextPlayerContacts.map(contact => contact[1]).indexOf(senderId.replace(/:/g, '~')) < 0) {
+          return await replyWithMessage(reqBody, ':disapproval:', messages.notYourTurn)
+        }
+        players = gamePlayers(game)
+        console.log('PLAYER_IDS=', players.map(player => player.id))
+        const playerNumber = players.map(player => player.id).indexOf(sender.id)
+
+        // the background check may not have caught up yet with a move played too late
+        if (game.clock && GameClock.flaggedPlayer(game.clock, game.current_game_state.state.next_players) === playerNumber) {
+          return await timeOut(game, playerNumber)
+        }
+
+        const normalizedMove = gameTypeOf(game).parseMove(command.move, game.current_game_state.state)
+        if (normalizedMove.error) {
+          return await replyWithMessage(reqBody, ':disapproval:', normalizedMove.error)
+        }
+        if (normalizedMove.candidates) {
+          const candidates = normalizedMove.candidates.map(candidate => `'${candidate.description}'`)
+          return await replyWithMessage(reqBody, ':thinking:', messages.ambiguousMove(command.move, candidates))
+        }
+
+        const gameState = await gameTypeOf(game).rules.performMove(game, normalizedMove.move, normalizedMove.format)
+        if (game.clock) {
+          GameClock.punchClock(game.clock, playerNumber)
+        }
+
+        // moving instead of answering a draw offer declines it
+        if (game.draw_offer && game.draw_offer.player_number !== playerNumber) {
+          delete game.draw_offer
+        }
+        // a takeback request never survives a move, it would no longer undo the same move
+        delete game.takeback_request
+
+        const board = await replyOnBoard(game, players, game.message_id)
+        game.message_id = board.id
+
+        if (game.current_game_state.state.game_over) {
+          return await endGame(game, gameName, players)
+        } else {
+          // trigger a save because one won't be triggered otherwise
+          gameStore.save()
+        }
+
+        return await promptNextMove(game, gameName, players)
+      } else if (command.action === 'forfeit') {
+        const game = await findGame(command, players)
+        if (!game) {
+          return
+        }
+        gameName = gameTypeOf(game).name
+
+        players = gamePlayers(game)
+        const playerNumber = players.map(player => player.id).indexOf(sender.id)
+        if (playerNumber < 0) {
+          return await replyWithMessage(reqBody, ':disapproval:', messages.notPlaying)
+        }
+
+        stopClock(game)
+        await gameTypeOf(game).rules.forfeit(game, playerNumber)
+
+        const board = await replyOnBoard(game, players, game.message_id)
+        game.message_id = board.id
+
+        return await endGame(game, gameName, players)
+      } else if (command.action === 'board') {
+        const game = await findGame(command, players)
+        if (!game) {
+          return
+        }
+
+        return await repostBoard(game, gamePlayers(game))
+      } else if (command.action === 'flip') {
+        const game = await findGame(command, players)
+        if (!game) {
+          return
+        }
+        if (!gameTypeOf(game).flippable) {
+          return await replyWithMessage(reqBody, ':disapproval:', messages.cannotFlip(gameTypeOf(game).name))
+        }
+
+        game.flipped = !game.flipped
+        const board = await replyOnBoard(game, gamePlayers(game), game.message_id)
+        game.message_id = board.id
+        gameStore.save()
+        return
+      } else if (command.action === 'pgn') {
+        // without a game in progress, the last finished game
+        if (!command.handle) {
+          const playerIds = players.map(player => player.id).concat(command.opponent && !command.opponent.isHuman ? ['_none'] : [])
+          const finishedGame = gameStore.getFinishedGame({cloudId, conversationId, playerIds})
+          if (gameStore.getGameIds({cloudId, conversationId, gameName, playerIds}).length === 0 &&
+              finishedGame && finishedGame.pgn && (!gameName || finishedGame.game_name === gameName)) {
+            return await uploadPgn(finishedGame.pgn, finishedGame.game_name, finishedGame.handle)
+          }
+        }
+
+        const game = await findGame(command, players)
+        if (!game) {
+          return
+        }
+        if (!gameTypeOf(game).toPgn) {
+          return await replyWithMessage(reqBody, ':disapproval:', messages.cannotExport(gameTypeOf(game).name))
+        }
+
+        return await uploadPgn(gameTypeOf(game).toPgn(game), gameTypeOf(game).name, game.handle)
+      } else if (command.action === 'draw' || command.action === 'takeback' || command.action === 'answer') {
+        const game = await findGame(command, players)
+        if (!game) {
+          return
+        }
+        gameName = gameTypeOf(game).name
+
+        players = gamePlayers(game)
+        const playerNumber = players.map(player => player.id).indexOf(sender.id)
+
+        // a bare 'accept' or 'decline' answers whatever the opponent proposed
+        if (command.action === 'answer') {
+          const accepted = command.proposalAction === 'accept'
+          if (game.draw_offer && game.draw_offer.player_number !== playerNumber) {
+            return await answerDraw(game, gameName, players, playerNumber, accepted)
+          }
+          if (game.takeback_request && game.takeback_request.player_number !== playerNumber) {
+            return await answerTakeback(game, gameName, players, playerNumber, accepted)
+          }
+          return await replyWithMessage(reqBody, ':disapproval:', messages.nothingToAnswer)
+        }
+
+        if (command.action === 'draw') {
+          if (command.proposalAction === 'offer') {
+            return await offerDraw(game, gameName, players, playerNumber)
+          } else {
+            return await answerDraw(game, gameName, players, playerNumber, command.proposalAction === 'accept')
+          }
+        } else {
+          if (command.proposalAction === 'offer') {
+            return await requestTakeback(game, gameName, players, playerNumber)
+          } else {
+            return await answerTakeback(game, gameName, players, playerNumber, command.proposalAction === 'accept')
+          }
+        }
+      }
+    }
+
+    return await replyWithUsage()
+  }
+
+  // starts a game from a game record (ex. a PGN), at the position it got to
+  async function importGame({gameName, players, aiLevel, timeControl, record}) {
+    const gameType = GameRegistry.get(gameName || 'chess')
+    if (!gameType.readPgn) {
+      return await replyWithMessage(reqBody, ':disapproval:', messages.cannotImport(gameType.name))
+    }
+
+    const {fen, moves, chess960, error} = gameType.readPgn(record)
+    if (error) {
+      return await replyWithMessage(reqBody, ':disapproval:', messages.importFailed(error))
+    }
+
+    return await startGame({gameName: gameName || (chess960 ? 'chess960' : gameType.name), players, aiLevel, timeControl, fen, moves})
+  }
+
+  // starts a game between players, given in the order of their slots in the game (ex. White first)
+  // @param moves: [{label, san}] to replay before anyone plays, ex. when importing a game
+  async function startGame({gameName, players, aiLevel, timeControl, fen, moves = []}) {
+    const gameType = GameRegistry.get(gameName)
+    if (fen) {
+      if (!gameType.validatePosition) {
+        return await replyWithMessage(reqBody, ':disapproval:', messages.cannotStartFromPosition(gameName))
+      }
+      const problem = gameType.validatePosition(fen)
+      if (problem) {
+        return await replyWithMessage(reqBody, ':disapproval:', messages.badPosition(problem))
+      }
+    }
+
+    const hasAI = players.some(player => player.id === '_none')
+    if (hasAI && gameType.ai.maxLevel) {
+      aiLevel = aiLevel || defaultAiLevel(conversationId, gameType)
+      if (aiLevel < 1 || aiLevel > gameType.ai.maxLevel) {
+        return await replyWithMessage(reqBody, ':disapproval:', messages.aiLevels(gameType.ai.maxLevel))
+      }
+    } else if (aiLevel) {
+      return await replyWithMessage(reqBody, ':disapproval:', messages.aiHasNoLevels(gameName))
+    }
+    timeControl = timeControl || GameClock.parseTimeControl(conversationSettings(conversationId).defaultTimeControl)
+
+    const playerIds = players.map(player => player.id)
+    let gameIds = gameStore.getGameIds({cloudId, conversationId, gameName, playerIds})
+    if (gameIds.length > 0) {
+      return await replyWithMessage(reqBody, ':disapproval:', messages.gameExists)
+    }
+
+    const playerContacts = players.map(player => `stride:${player.id}:${player.text}`)
+
+    const game = await gameType.rules.createGame(playerContacts, {fen})
+    for (const move of moves) {
+      try {
+        await gameType.rules.performMove(game, move.san, 'san')
+      } catch (error) {
+        return await replyWithMessage(reqBody, ':disapproval:', messages.moveRefused(move.label, move.san, error.message || error))
+      }
+    }
+    game.game_name = gameName
+    game.started_at = Date.now()
+    game.handle = gameStore.nextHandle({cloudId, conversationId})
+    if (aiLevel) {
+      game.ai_level = aiLevel
+    }
+    if (timeControl) {
+      game.clock = GameClock.startClock(timeControl, players.length)
+    }
+
+    const board = await replyOnBoard(game, players)
+    game.message_id = board.id
+
+    gameStore.addGame({cloudId, conversationId, gameName, playerIds, game})
+
+    return await promptNextMove(game, gameName, players)
+  }
+
+  async function offerDraw(game, gameName, players, playerNumber) {
+    if (game.draw_offer) {
+      if (game.draw_offer.player_number === playerNumber) {
+        return await replyWithMessage(reqBody, ':disapproval:', messages.alreadyOfferedDraw)
+      }
+      return await replyWithMessage(reqBody, ':disapproval:', messages.drawOfferPending(BOT_NAME))
+    }
+
+    const opponents = players.filter((player, number) => number !== playerNumber)
+    const opponentsHuman = opponents.filter(player => player.id !== '_none')
+
+    if (opponentsHuman.length === 0) {
+      if (!(await gameTypeOf(game).ai.evaluateDrawOffer(game))) {
+        return await replyWithMessage(reqBody, ':handshake:', messages.aiDeclinesDraw)
+      }
+
+      stopClock(game)
+      await gameTypeOf(game).rules.agreeDraw(game)
+
+      const board = await replyOnBoard(game, players, game.message_id)
+      game.message_id = board.id
+
+      return await endGame(game, gameName, players)
+    }
+
+    game.draw_offer = {player_number: playerNumber}
+    gameStore.save()
+
+    return await replyWithMessage(reqBody, ':handshake:', ...messages.offersDraw(players[playerNumber], opponentsHuman, BOT_NAME))
+  }
+
+  async function answerDraw(game, gameName, players, playerNumber, accepted) {
+    if (!game.draw_offer) {
+      return await replyWithMessage(reqBody, ':disapproval:', messages.noDrawOffer)
+    }
+    if (game.draw_offer.player_number === playerNumber) {
+      return await replyWithMessage(reqBody, ':disapproval:', messages.ownDrawOffer)
+    }
+
+    const offeringPlayer = players[game.draw_offer.player_number]
+    delete game.draw_offer
+
+    if (!accepted) {
+      gameStore.save()
+      return await replyWithMessage(reqBody, ':handshake:', ...messages.drawDeclined(offeringPlayer))
+    }
+
+    stopClock(game)
+    await gameTypeOf(game).rules.agreeDraw(game)
+
+    const board = await replyOnBoard(game, players, game.message_id)
+    game.message_id = board.id
+
+    return await endGame(game, gameName, players)
+  }
+
+  // posts the board again at the bottom of the conversation, leaving a stub where it used to be
+  async function repostBoard(game, players) {
+    const oldMessageId = game.message_id
+
+    const board = await replyOnBoard(game, players)
+    game.message_id = board.id
+    gameStore.save()
+
+    if (oldMessageId) {
+      const doc = new Document()
+      let paragraph = doc.paragraph()
+      if (game.handle) {
+        paragraph = paragraph.strong(`#${game.handle}`).text('  ')
+      }
+      paragraph.text(messages.boardMovedBelow).emoji(':arrow_down:')
+
+      await stride.updateMessage({cloudId, conversationId, messageId: oldMessageId, document: doc.toJSON()})
+    }
+  }
+
+  // lists the active games of the conversation, or only those of the given player
+  async function listGames(player) {
+    const gameIds = player ?
+      gameStore.getGameIds({cloudId, conversationId, playerIds: [player.id]}) :
+      gameStore.getConversationGameIds({cloudId, conversationId})
+    const games = gameIds.map(gameId => gameStore.getGameData(gameId))
+      .sort((a, b) => (a.handle || 0) - (b.handle || 0))
+
+    if (games.length === 0) {
+      return await replyWithMessage(reqBody, ':information_source:', messages.noActiveGames(!!player, BOT_NAME))
+    }
+
+    const conversation = await stride.getConversation({cloudId, conversationId})
+    const conversationLink = conversation._links && conversation._links[conversation.id]
+
+    const lines = [':information_source:', messages.activeGames(!!player)]
+    games.forEach(game => {
+      const state = game.current_game_state.state
+      const players = gamePlayers(game)
+      const nextPlayers = state.next_players.map(player_number => players[player_number].text)
+      const moveNumber = gameTypeOf(game).moveNumber(game.current_game_state)
+
+      lines.push('\n')
+      if (game.handle) {
+        lines.push(`#${game.handle}  `)
+      }
+      lines.push(messages.gameListEntry(gameTypeOf(game).name, players.map(player => player.text), nextPlayers, moveNumber))
+      if (game.last_move_at) {
+        lines.push(messages.lastMove(timeAgo(game.last_move_at, messages)))
+      }
+      if (conversationLink && game.message_id) {
+        lines.push('  -  ', {description: messages.board, link: `${conversationLink}?mid=${game.message_id}`})
+      }
+    })
+
+    return await replyWithMessage(reqBody, ...lines)
+  }
+
+  async function postPuzzle() {
+    const day = Puzzles.dayNumber()
+    const puzzle = Puzzles.puzzleOfTheDay(day)
+    puzzleStore.startPuzzle({cloudId, conversationId, puzzleId: puzzle.id, day})
+
+    return await replyWithPuzzle(puzzle, messages.puzzleOfTheDay)
+  }
+
+  // the puzzle being solved in the conversation, along with who is on a streak
+  async function showPuzzle() {
+    const current = puzzleStore.get({cloudId, conversationId})
+    if (!current) {
+      return await replyWithMessage(reqBody, ':information_source:', messages.noPuzzleYet(BOT_NAME))
+    }
+
+    await replyWithPuzzle(Puzzles.getPuzzle(current.puzzle_id), current.solvers.length > 0 ?
+      messages.solvedBy(current.solvers.map(id => current.streaks[id].name)) : messages.notSolvedYet)
+
+    const streaks = Object.keys(current.streaks).map(id => current.streaks[id])
+      .filter(streak => streak.last_day === current.day || streak.last_day === current.previous_day)
+      .sort((a, b) => b.current - a.current || b.best - a.best)
+    if (streaks.length === 0) {
+      return
+    }
+    const lines = [':trophy:', messages.puzzleStreaks]
+    streaks.forEach(streak => {
+      lines.push('\n', messages.streak(streak.name, streak.current, streak.best))
+    })
+    return await replyWithMessage(reqBody, ...lines)
+  }
+
+  async function answerPuzzle(sender, answer) {
+    const current = puzzleStore.get({cloudId, conversationId})
+    if (!current) {
+      return await replyWithMessage(reqBody, ':disapproval:', messages.noPuzzleToSolve)
+    }
+    if (current.solvers.indexOf(sender.id) >= 0) {
+      return await replyWithMessage(reqBody, ':disapproval:', messages.alreadySolved)
+    }
+
+    const result = Puzzles.checkAnswer(Puzzles.getPuzzle(current.puzzle_id), answer)
+    if (result.error) {
+      return await replyWithMessage(reqBody, ':disapproval:', result.error)
+    }
+    if (result.wrong) {
+      return await replyWithMessage(reqBody, ':x:', messages.notTheSolution(result.wrong, result.line))
+    }
+    if (!result.solved) {
+      return await replyWithMessage(reqBody, ':thinking:', messages.rightSoFar(result.line, BOT_NAME))
+    }
+
+    const streak = puzzleStore.addSolver({cloudId, conversationId, player: sender})
+    return await replyWithMessage(reqBody, ':tada:', ...messages.solvedPuzzle(sender, result.line, streak.current))
+  }
+
+  async function replyWithPuzzle(puzzle, title) {
+    const doc = new Document()
+    doc.paragraph()
+      .emoji(':jigsaw:')
+      .text('  ')
+      .strong(`${title}: ${Puzzles.describeGoal(puzzle)}.`)
+      .text(messages.answerPuzzle(BOT_NAME))
+    doc.codeBlock('javascript')
+      .text(GameRegistry.get('chess').renderBoard({fen: puzzle.fen}))
+
+    return await stride.reply({reqBody, document: doc.toJSON()})
+  }
+
+  // posts a game as a .pgn file
+  async function uploadPgn(pgn, gameName, handle) {
+    const date = new Date().toISOString().slice(0, 10)
+    const name = `${gameName}-${date}${handle ? `-${handle}` : ''}.pgn`
+    const media = JSON.parse(await stride.sendMedia({cloudId, conversationId, name, stream: Buffer.from(pgn)}))
+
+    const doc = new Document()
+    let paragraph = doc.paragraph()
+    if (handle) {
+      paragraph = paragraph.strong(`#${handle}`).text('  ')
+    }
+    paragraph.text(messages.pgnFile(name))
+    doc.mediaGroup()
+      .media({type: 'file', id: media.data.id, collection: conversationId})
+
+    return await stride.reply({reqBody, document: doc.toJSON()})
+  }
+
+  async function requestTakeback(game, gameName, players, playerNumber) {
+    const moveCount = countTakebackMoves(game, playerNumber)
+    if (moveCount === 0) {
+      return await replyWithMessage(reqBody, ':disapproval:', messages.noMoveToTakeBack)
+    }
+    if (game.takeback_request) {
+      if (game.takeback_request.player_number === playerNumber) {
+        return await replyWithMessage(reqBody, ':disapproval:', messages.alreadyAskedTakeback)
+      }
+      return await replyWithMessage(reqBody, ':disapproval:', messages.takebackPending(BOT_NAME))
+    }
+
+    const opponents = players.filter((player, number) => number !== playerNumber)
+    const opponentsHuman = opponents.filter(player => player.id !== '_none')
+
+    // the AI always agrees, taking back its reply along with the player's move
+    if (opponentsHuman.length === 0) {
+      return await takeBack(game, gameName, players, moveCount)
+    }
+
+    game.takeback_request = {player_number: playerNumber}
+    gameStore.save()
+
+    return await replyWithMessage(reqBody, ':leftwards_arrow_with_hook:', ...messages.asksTakeback(players[playerNumber], opponentsHuman, BOT_NAME))
+  }
+
+  async function answerTakeback(game, gameName, players, playerNumber, accepted) {
+    if (!game.takeback_request) {
+      return await replyWithMessage(reqBody, ':disapproval:', messages.noTakebackRequest)
+    }
+    if (game.takeback_request.player_number === playerNumber) {
+      return await replyWithMessage(reqBody, ':disapproval:', messages.ownTakebackRequest)
+    }
+
+    const requestingPlayerNumber = game.takeback_request.player_number
+    delete game.takeback_request
+
+    if (!accepted) {
+      gameStore.save()
+      return await replyWithMessage(reqBody, ':leftwards_arrow_with_hook:', ...messages.takebackDeclined(players[requestingPlayerNumber]))
+    }
+
+    return await takeBack(game, gameName, players, countTakebackMoves(game, requestingPlayerNumber))
+  }
+
+  async function takeBack(game, gameName, players, moveCount) {
+    await gameTypeOf(game).rules.takeBack(game, moveCount)
+    if (game.clock) {
+      GameClock.restartTurn(game.clock)
+    }
+
+    const board = await replyOnBoard(game, players, game.message_id)
+    game.message_id = board.id
+    gameStore.save()
+
+    return await promptNextMove(game, gameName, players)
+  }
+
+  // the number of states to roll back so that the player's last move is undone, along with any replies to it
+  function countTakebackMoves(game, playerNumber) {
+    for (let i = game.game_states.length - 1; i > 0; i--) {
+      if (game.game_states[i - 1].state.next_players.indexOf(playerNumber) >= 0) {
+        return game.game_states.length - i
+      }
+    }
+    return 0
+  }
+
+  // finds the single game the sender is talking about, replying with an error if there isn't exactly one
+  async function findGame(command, players) {
+    const sender = players[players.length - 1]
 
-          const playerIds = players.map(player => player.id)
-          let gameIds = gameStore.getGameIds({cloudId, conversationId, gameName, playerIds})
-          if (gameIds.length > 0) {
-            return await replyWithMessage(reqBody, ':disapproval:', `Game already exists.`)
-          }
+    // the buttons of a board name their game by id
+    if (command.gameId) {
+      const game = gameStore.getGameData(command.gameId)
+      if (!game) {
+        await replyWithMessage(reqBody, ':disapproval:', messages.gameOver)
+        return null
+      }
+      return game
+    }
 
-          shuffle(players)
-          const playerContacts = players.map(player => `stride:${player.id}:${player.text}`)
+    if (command.handle) {
+      const game = gameStore.getGameData(gameStore.getGameIdByHandle({cloudId, conversationId, handle: command.handle}))
+      if (!game) {
+        await replyWithMessage(reqBody, ':disapproval:', messages.handleNotFound(command.handle))
+        return null
+      }
+      if (gamePlayers(game).map(player => player.id).indexOf(sender.id) < 0) {
+        await replyWithMessage(reqBody, ':disapproval:', messages.notPlayingInHandle(command.handle))
+        return null
+      }
+      return game
+    }
 
-          const game = await ChessApi.createGame(playerContacts)
+    if (command.opponent && !command.opponent.isHuman) {
+      players.push({id: '_none', text: 'AI'})
+    }
 
-          const board = await replyOnBoard(game, players)
-          game.message_id = board.id
+    const playerIds = players.map(player => player.id)
+    const gameIds = gameStore.getGameIds({cloudId, conversationId, gameName: command.gameName, playerIds})
+    if (gameIds.length === 0) {
+      await replyWithMessage(reqBody, ':disapproval:', messages.gameNotFound(BOT_NAME))
+      return null
+    } else if (gameIds.length > 1) {
+      const handles = gameIds.map(gameId => gameStore.getGameData(gameId).handle).filter(handle => handle).map(handle => `#${handle}`)
+      await replyWithMessage(reqBody, ':disapproval:', messages.tooManyGames(handles, BOT_NAME))
+      return null
+    }
 
-          gameStore.addGame({cloudId, conversationId, gameName, playerIds, game})
+    return gameStore.getGameData(gameIds[0])
+  }
 
-          return await promptNextMove(game, gameName, players)
-        }
-      } else if (command.action === 'move') {
-        if (command.opponent && !command.opponent.isHuman) {
-          players.push({id: '_none', text: 'AI'})
-        }
+  // games started before game types were recorded are all chess
+  function gameTypeOf(game) {
+    return GameRegistry.get(game.game_name || 'chess')
+  }
 
-        let playerIds = players.map(player => player.id)
-        let gameIds = gameStore.getGameIds({cloudId, conversationId, gameName, playerIds})
-        if (gameIds.length === 0) {
-          return await replyWithMessage(reqBody, ':disapproval:', `Game not found.\nTo start a new game:\n'${BOT_NAME} play chess with @someone'.`)
-        } else if (gameIds.length > 1) {
-          return await replyWithMessage(reqBody, ':disapproval:', `Too many games found. Please specify which game by mentioning the other @player.`)
-        }
-        const gameId = gameIds[0]
-        const game = gameStore.getGameData(gameId)
-        if (!gameName) {
-          //TODO: gameName = game.rules
-          gameName = 'chess'
-        }
+  // expecting contacts in the format 'stride:5a430b108111c32c4340fc8f:@someone'
+  function gamePlayers(game) {
+    return game.game_players.map(game_player => {
+      const split = game_player.contact.split(':', 3)
+      return { id: split[1], text: split[2] }
+    })
+  }
 
-        // go from player indexes to player objects' contacts
-        // then split the contacts by ':'
-        // expecting format 'stride:5a430b108111c32c4340fc8f:@someone'
-        // expecting format 'stride:123456~5a430b108111c32c4340fc8f:@someone'
-        const nextPlayerContacts = game.current_game_state.state.next_players.map(player_number => game.game_players[player_number].contact.split(':', 3))
-          .filter(contact => contact[0] === 'stride')
-        if (nextPlayerContacts.map(contact => contact[1]).indexOf(senderId.replace(/:/g, '~')) < 0) {
-          return await replyWithMessage(reqBody, ':disapproval:', `It's not your turn.`)
-        }
-        players = game.game_players.map(game_player => {
-          const split = game_player.contact.split(':', 3)
-          return { id: split[1], text: split[2] }
-        })
-        playerIds = players.map(player => player.id)
-        console.log('PLAYER_IDS=', playerIds)
+  async function timeOut(game, playerNumber) {
+    const gameName = gameTypeOf(game).name
+    const players = gamePlayers(game)
 
-        const gameState = await ChessApi.performMove(game, command.move)
+    stopClock(game)
+    await gameTypeOf(game).rules.timeOut(game, playerNumber)
 
-        const board = await replyOnBoard(game, players, game.message_id)
-        game.message_id = board.id
+    const board = await replyOnBoard(game, players, game.message_id)
+    game.message_id = board.id
 
-        if (game.current_game_state.state.game_over) {
-          gameStore.removeGame({cloudId, conversationId, gameName, playerIds, gameId})
+    return await endGame(game, gameName, players)
+  }
 
-          return await replyWithMessage(reqBody, ':checkered_flag:', game.current_game_state.state.message)
-        } else {
-          // trigger a save because one won't be triggered otherwise
-          gameStore.save()
-        }
+  // before the rules end the game, while the players to move are still known
+  function stopClock(game) {
+    if (game.clock) {
+      GameClock.stopClock(game.clock, game.current_game_state.state.next_players)
+    }
+  }
 
-        return await promptNextMove(game, gameName, players)
-      }
+  async function endGame(game, gameName, players) {
+    const playerIds = players.map(player => player.id)
+    gameStore.addFinishedGame({cloudId, conversationId, playerIds, game})
+    gameStore.removeGame({cloudId, conversationId, gameName, playerIds, gameId: game.game_id})
+
+    await updateGlance()
+    await replyWithMessage(reqBody, ':checkered_flag:', game.current_game_state.state.message)
+    if (gameTypeOf(game).toPgn) {
+      return await uploadPgn(gameTypeOf(game).toPgn(game), gameName, game.handle)
     }
+  }
 
-    return await replyWithUsage()
+  // a glance that can't be updated is only out of date, the game goes on
+  async function updateGlance() {
+    try {
+      await stride.updateGlanceState({cloudId, conversationId, glanceKey: 'refapp-glance', stateTxt: glanceLabel({cloudId, conversationId})})
+    } catch (err) {
+      console.error('  Failed to update the glance', prettify_json(err))
+    }
   }
 
   async function promptNextMove(game, gameName, players) {
@@ -391,9 +1208,9 @@ async function gameBot({reqBody}) {
     const nextPlayersAI = nextPlayers.filter(contact => contact.id === '_none')
     const nextPlayersHuman = nextPlayers.filter(contact => contact.id !== '_none')
 
-    const promises = []
+    const promises = [updateGlance()]
     if (nextPlayersHuman.length > 0) {
-      promises.push(replyWithMessage(reqBody, 'Your move: ', ...nextPlayersHuman))
+      promises.push(replyWithMessage(reqBody, ...messages.yourMove(nextPlayersHuman)))
     }
     if (nextPlayersAI.length > 0) {
       promises.push(performAIMove(game, gameName, players))
@@ -403,16 +1220,17 @@ async function gameBot({reqBody}) {
   }
 
   async function performAIMove(game, gameName, players) {
-    const newGameState = await ChessApi.performAIMove(game)
+    const playerNumber = game.current_game_state.state.next_players[0]
+    const newGameState = await gameTypeOf(game).ai.performAIMove(game)
+    if (game.clock) {
+      GameClock.punchClock(game.clock, playerNumber)
+    }
 
     const board = await replyOnBoard(game, players, game.message_id)
     game.message_id = board.id
 
     if (game.current_game_state.state.game_over) {
-      const playerIds = players.map(player => player.id)
-      gameStore.removeGame({cloudId, conversationId, gameName, playerIds, gameId: game.game_id})
-
-      return await replyWithMessage(reqBody, ':checkered_flag:', game.current_game_state.state.message)
+      return await endGame(game, gameName, players)
     }
 
     return await promptNextMove(game, gameName, players)
@@ -422,27 +1240,69 @@ async function gameBot({reqBody}) {
     const usage = [
       ':information_source:',
       `\nUsage:\n`,
-      `\t${BOT_NAME} play <game> [ with ] { @opponent | AI }\n`,
-      `\t${BOT_NAME} [ <game> ] [ @opponent ] <move>\n`,
+      `\t${BOT_NAME} play <game> [ as white | black | random ] [ with ] { @opponent | AI [ level <n> ] } [ <minutes>+<seconds per move> | <days>d/move ] [ from <FEN> ]\n`,
+      `\t${BOT_NAME} import [ as white | black ] [ with ] { @opponent | AI [ level <n> ] } <PGN or FEN>\n`,
+      `\t${BOT_NAME} [ <game> ] [ @opponent | #game-number ] <move>\n`,
       `Examples:\n`,
       `\t${BOT_NAME} play chess with @opponent\n`,
       `\t${BOT_NAME} play chess with AI\n`,
+      `\t${BOT_NAME} play chess with AI level 3\n`,
+      `\t${BOT_NAME} play chess as black with @opponent\n`,
+      `\t${BOT_NAME} play chess960 with AI\n`,
+      `\t${BOT_NAME} play chess with @opponent from 6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1\n`,
+      `\t${BOT_NAME} play connect-four with @opponent\n`,
+      `\t${BOT_NAME} play chess with @opponent 10+5\n`,
+      `\t${BOT_NAME} play chess with @opponent 3d/move\n`,
+      `\t${BOT_NAME} import with @opponent 1. e4 e5 2. Nf3 Nc6\n`,
+      `\t${BOT_NAME} import as black with AI 6k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 0 30\n`,
       `\t${BOT_NAME} e4\n`,
       `\t${BOT_NAME} dxe8=Q+\n`,
       `\t${BOT_NAME} Nbxc6#\n`,
+      `\t${BOT_NAME} g1f3\n`,
+      `\t${BOT_NAME} knight to f3\n`,
+      `\t${BOT_NAME} #7 Qxf7#\n`,
       `\t${BOT_NAME} forfeit\n`,
-      `Supported games: 'chess' (more to come...)\n`,
-      `Chess moves are in:\n\t`,
-      {description: 'Standard Algebraic Notation (SAN)', link: 'https://en.wikipedia.org/wiki/Algebraic_notation_(chess)'}
+      `\t${BOT_NAME} @opponent resign\n`,
+      `\t${BOT_NAME} offer draw\n`,
+      `\t${BOT_NAME} accept draw\n`,
+      `\t${BOT_NAME} decline draw\n`,
+      `\t${BOT_NAME} takeback\n`,
+      `\t${BOT_NAME} accept takeback\n`,
+      `\t${BOT_NAME} decline\n`,
+      `\t${BOT_NAME} rematch\n`,
+      `\t${BOT_NAME} board\n`,
+      `\t${BOT_NAME} flip\n`,
+      `\t${BOT_NAME} pgn\n`,
+      `\t${BOT_NAME} games\n`,
+      `\t${BOT_NAME} games mine\n`,
+      `\t${BOT_NAME} puzzle\n`,
+      `\t${BOT_NAME} puzzle Qg8+ Rxg8 Nf7#\n`,
+      `Supported games: ${GameRegistry.getNames().map(name => `'${name}'`).join(', ')}\n`,
     ]
+    // variants sharing their moves with another game (chess960 with chess) are only explained once
+    const gameTypes = GameRegistry.getNames().map(name => GameRegistry.get(name))
+    gameTypes.filter((gameType, i) => gameTypes.findIndex(other => other.moveHelp === gameType.moveHelp) === i).forEach(gameType => {
+      usage.push(`Moves in ${gameType.name} are `, ...gameType.moveHelp, `\n`)
+    })
+    // the levels depend on where the AI searches its moves, see ChessAi
+    const levels = gameTypes.filter(gameType => gameType.ai.maxLevel).map(gameType => `${gameType.name} 1 to ${gameType.ai.maxLevel}`)
+    usage.push(`AI levels: ${levels.join(', ')}\n`)
     return await replyWithMessage(reqBody, ...usage)
   }
 
-  async function extractPlayers() {
+  async function extractPlayers(command) {
     const players = jsonpath.query(reqBody, '$..[?(@.type == "mention")]')
       .filter(node => node.attrs.text !== BOT_NAME)
       .map(node => ({id: node.attrs.id.replace(/:/g, '~'), text: node.attrs.text}))
 
+    // dialogs name the opponent by id instead of mentioning them
+    if (command.opponent && command.opponent.id) {
+      players.push({
+        id: command.opponent.id.replace(/:/g, '~'),
+        text: (await stride.getUser({cloudId, userId: command.opponent.id})).displayName
+      })
+    }
+
     players.push({
       id: senderId.replace(/:/g, '~'),
       text: (await stride.getUser({cloudId, userId: senderId})).displayName
@@ -453,155 +1313,76 @@ async function gameBot({reqBody}) {
   }
 
   function extractCommand() {
-    const commands = jsonpath.query(reqBody, '$..[?(@.type == "text")]')
-      .map(node => node.text)
-      .join(' ')
-      .split(/ +/)
-      .map(text => text.trim())
-      .filter(text => text.length > 0)
-
-    const playWords = new Set()
-    playWords.add('play')
-    playWords.add('start')
-    playWords.add('begin')
-    playWords.add('create')
-
-    const withWords = new Set()
-    withWords.add('with')
-    withWords.add('vs')
-    withWords.add('vs.')
-    withWords.add('versus')
-    withWords.add('against')
-
-    const aiWords = new Set()
-    aiWords.add('ai')
-    aiWords.add('computer')
-    aiWords.add('machine')
-    aiWords.add('you')
-
-    console.log('COMMANDS=', commands)
-    
-    // play game [with] AI
-    if (
-      (commands.length === 3 && playWords.has(commands[0].toLowerCase()) && aiWords.has(commands[2].toLowerCase())) ||
-      (commands.length === 4 && playWords.has(commands[0].toLowerCase()) && withWords.has(commands[2].toLowerCase()) && aiWords.has(commands[3].toLowerCase()))) {
-      // TODO support non-chess
-      const gameName = commands[1].toLowerCase()
-      if (!gameName) {
-        gameName = 'chess'
-      } else if (gameName !== 'chess') {
-        return null
-      }
-
-      const action = 'start'
-      
-      return {action, gameName, opponent: {isHuman: false}}
-    }
+    const nodes = jsonpath.query(reqBody, '$..[?(@.type == "text" || @.type == "mention")]')
+    const tokens = CommandParser.tokenize(nodes, {botName: BOT_NAME})
 
-    // play game [with] @someone
-    if ((commands.length === 2 && playWords.has(commands[0].toLowerCase())) || (commands.length === 3 && playWords.has(commands[0].toLowerCase()) && withWords.has(commands[2].toLowerCase()))) {
-      // TODO support non-chess
-      const gameName = commands[1].toLowerCase()
-      if (!gameName) {
-        gameName = 'chess'
-      } else if (gameName !== 'chess') {
-        return null
-      }
+    console.log('TOKENS=', tokens)
+    const games = new Map(GameRegistry.getAliases().map(alias => [alias, GameRegistry.get(alias).name]))
+    return CommandParser.parse(tokens, {games})
+  }
 
-      const action = 'start'
-      
-      return {action, gameName, opponent: {isHuman: true}}
+  // the board drawn as an image and uploaded to the conversation, or null when it's to be shown as text
+  async function uploadBoardImage(game) {
+    if (!gameTypeOf(game).renderImage || boardStyle(conversationId) !== 'image') {
+      return null
     }
-
-    // AI
-
-    // make a move on an existing game
-    // @someone game AI e4
-    if (commands.length === 3 && aiWords.has(commands[1].toLowerCase())) {
-      
-      // TODO support non-chess!!!
-      const gameName = commands[0].toLowerCase()
-      if (!gameName) {
-        gameName = 'chess'
-      } else if (gameName !== 'chess') {
-        return null
-      }
-
-      const move = commands[2]
-      if (!move) {
-        return null
-      }
-      
-      const action = 'move'
-      
-      return {action, gameName, move, opponent: {isHuman: false}}
+    try {
+      const name = `board-${game.handle || game.game_id}-${game.current_game_state.version}.png`
+      const media = JSON.parse(await stride.sendMedia({cloudId, conversationId, name, stream: gameTypeOf(game).renderImage(game, {flipped: game.flipped})}))
+      return media.data
+    } catch (err) {
+      // a board as text is better than no board at all
+      console.error('  Failed to upload the board image', prettify_json(err))
+      return null
     }
+  }
 
-    // make a move on an existing game
-    // @someone AI e4
-    if (commands.length === 2 && aiWords.has(commands[0].toLowerCase())) {
-      const move = commands[1]
-      if (!move) {
-        return null
-      }
-      
-      const action = 'move'
-      
-      return {action, move, opponent: {isHuman: false}}
-    }
-
-    // make a move on an existing game
-    // @someone game e4
-    if (commands.length === 2) {
-      
-      // TODO support non-chess!!!
-      const gameName = commands[0].toLowerCase()
-      if (!gameName) {
-        gameName = 'chess'
-      } else if (gameName !== 'chess') {
-        return null
-      }
+  // the board as a card, with buttons for the players while the game is on (see /module/action/game)
+  async function replyOnBoard(game, players, messageId=null) {
+    const state = game.current_game_state.state
+    const aiName = game.ai_level ? `AI level ${game.ai_level}` : 'AI'
+    const names = players.map(player => player.id === '_none' ? aiName : player.text)
 
-      const move = commands[1]
-      if (!move) {
-        return null
+    const doc = new Document()
+    const card = doc.applicationCard(`${game.handle ? `#${game.handle}  ` : ''}${names.join('  vs  ')}`)
+      .description(state.message)
+    if (game.clock) {
+      const times = players.map((player, number) => `${player.text} ${GameClock.formatTime(GameClock.remainingTime(game.clock, number, state.next_players))}`)
+      card.detail()
+        .title(GameClock.describeTimeControl(game.clock.time_control))
+        .text(times.join('  -  '))
+    }
+    if (!state.game_over) {
+      const actions = [{title: 'Resign', action: 'resign'}, {title: 'Offer draw', action: 'draw'}]
+      if (gameTypeOf(game).legalMoves) {
+        actions.push({title: 'Show legal moves', action: 'moves'})
       }
-      
-      const action = 'move'
-      
-      return {action, gameName, move}
-    }
-
-    // make a move on an existing game
-    // @someone e4
-    if (commands.length === 1) {
-      
-      const move = commands[0]
-      if (!move) {
-        return null
+      if (gameTypeOf(game).flippable) {
+        actions.push({title: 'Flip board', action: 'flip'})
       }
-      
-      const action = 'move'
-      
-      return {action, move}
+      actions.forEach(({title, action}) => {
+        card.action()
+          .title(title)
+          .target({key: 'refapp-action-callService-game'})
+          .parameters({gameId: game.game_id, action})
+      })
     }
 
-    return null
-  }
-
-  async function replyOnBoard(game, players, messageId=null) {
-    // TODO: convert fen to a real board
-    const fen = game.current_game_state.state.fen
-
-    const doc = new Document()
-    let paragraph = doc.paragraph()
-    paragraph = players[0].id === '_none' ? paragraph.text(players[0].text) : paragraph.mention(players[0].id.replace(/~/g, ':'), players[0].text)
-    paragraph = paragraph.text('  vs  ')
-    paragraph = players[1].id === '_none' ? paragraph.text(players[1].text) : paragraph.mention(players[1].id.replace(/~/g, ':'), players[1].text)
-    paragraph = paragraph.text('\t\t')
-    paragraph = paragraph.text(game.current_game_state.state.message)
-    doc.codeBlock('javascript')
-      .text(renderBoard(fen))
+    const startPosition = gameTypeOf(game).startPosition && gameTypeOf(game).startPosition(game)
+    if (startPosition) {
+      doc.paragraph().text(messages.startedFrom).code(startPosition)
+    }
+    if (gameTypeOf(game).summary) {
+      gameTypeOf(game).summary(game).forEach(line => doc.paragraph().text(line))
+    }
+    const boardImage = await uploadBoardImage(game)
+    if (boardImage) {
+      doc.mediaGroup()
+        .media({type: 'file', id: boardImage.id, collection: conversationId})
+    } else {
+      doc.codeBlock('javascript')
+        .text(gameTypeOf(game).renderBoard(state, {flipped: game.flipped}))
+    }
     const document = doc.toJSON();
 
     if (messageId) {
@@ -610,38 +1391,6 @@ async function gameBot({reqBody}) {
       return await stride.reply({reqBody, document})
     }
   }
-
-  function renderBoard(fen) {
-    const pieceMap = {
-      'p': '♟',
-      'r': '♜',
-      'n': '♞',
-      'b': '♝',
-      'k': '♚',
-      'q': '♛',
-      'P': '♙',
-      'R': '♖',
-      'N': '♘',
-      'B': '♗',
-      'K': '♔',
-      'Q': '♕',
-      '.': '.'
-    }
-    const letters = '    a b c d e f g h    '
-    const border = '  +-----------------+  '
-    return letters + '\n' + border + '\n' + fen.split(' ')[0]
-      .replace(/1/g, '.'.repeat(1))
-      .replace(/2/g, '.'.repeat(2))
-      .replace(/3/g, '.'.repeat(3))
-      .replace(/4/g, '.'.repeat(4))
-      .replace(/5/g, '.'.repeat(5))
-      .replace(/6/g, '.'.repeat(6))
-      .replace(/7/g, '.'.repeat(7))
-      .replace(/8/g, '.'.repeat(8))
-      .split('/')
-      .map((row, i) => (8-i) + ' | ' + row.split('').map(ch => pieceMap[ch]).join(' ') + ' | ' + (8-i))
-      .join('\n') + '\n' + border + '\n' + letters
-  }
 }
 
 async function replyWithMessage(reqBody, ...objects) {
@@ -671,22 +1420,127 @@ async function replyWithMessage(reqBody, ...objects) {
   return await stride.reply({reqBody, document})
 }
 
-/*
-    a b c d e f g h
-  +-----------------+
-8 | ♜ ♞ ♝ ♛ . ♝ ♞ ♜ | 8
-7 | ♟ . . ♟ ♚ . ♟ ♟ | 7
-6 | ♟ . ♟ . . ♟ . . | 6
-5 | . . . . ♟ . . ♕ | 5
-4 | . . . . ♗ . . . | 4
-3 | ♗ . ♗ . . . . . | 3
-2 | . ♗ . ♗ . ♗ ♗ ♗ | 2
-1 | ♖ ♘ ♗ . ♔ . ♘ ♖ | 1
-  +-----------------+
-    a b c d e f g h
-*/
 
 
+/**
+ * Game clocks
+ * -----------
+ * Players who run out of time lose even when nobody mentions the bot, so clocks are checked in the background.
+ * The clocks are part of the game records in games.json, so the checks pick up where they left off after a restart.
+ */
+const CLOCK_CHECK_INTERVAL = 1000
+// a timeout that failed (ex. Stride or the Game API being down) is retried after a delay doubling every time, up to the maximum
+const TIMEOUT_RETRY_DELAY = 5 * 1000
+const TIMEOUT_MAX_RETRY_DELAY = 10 * 60 * 1000
+const timeoutsInProgress = new Set()
+const failedTimeouts = new Map() // game_id -> {failures, retry_at}
+
+function checkClocks() {
+  gameStore.getActiveGames().forEach(({cloudId, conversationId, game}) => {
+    if (!game || !game.clock || game.current_game_state.state.game_over || timeoutsInProgress.has(game.game_id)) {
+      return
+    }
+    const failed = failedTimeouts.get(game.game_id)
+    if (failed && Date.now() < failed.retry_at) {
+      return
+    }
+    const playerNumber = GameClock.flaggedPlayer(game.clock, game.current_game_state.state.next_players)
+    if (playerNumber === undefined) {
+      return
+    }
+
+    timeoutsInProgress.add(game.game_id)
+    const reqBody = {cloudId, conversation: {id: conversationId}}
+    gameBot({reqBody, event: {type: 'timeout', game, playerNumber}}).then(() => {
+      failedTimeouts.delete(game.game_id)
+    }).catch(err => {
+      const failures = (failed ? failed.failures : 0) + 1
+      const delay = Math.min(TIMEOUT_RETRY_DELAY * Math.pow(2, failures - 1), TIMEOUT_MAX_RETRY_DELAY)
+      failedTimeouts.set(game.game_id, {failures, retry_at: Date.now() + delay})
+      console.error(`  Failed to end a game on time (attempt ${failures}, retrying in ${delay / 1000}s)`, prettify_json(err))
+    }).then(() => {
+      timeoutsInProgress.delete(game.game_id)
+    })
+  })
+}
+
+setInterval(checkClocks, CLOCK_CHECK_INTERVAL)
+
+/**
+ * Idle games
+ * ----------
+ * Games without clocks can wait forever for a move, blocking new games between the same players.
+ * After idleReminderHours (configured per conversation, 0 to never remind) the players to move are reminded,
+ * after twice as long they are reminded a second time, and after three times as long the game is abandoned
+ * (unless the conversation turned off abandonIdleGames).
+ */
+const IDLE_CHECK_INTERVAL = 5 * 60 * 1000
+
+function checkIdleGames() {
+  gameStore.getActiveGames().forEach(({cloudId, conversationId, game}) => {
+    const {idleReminderHours: hours, abandonIdleGames} = conversationSettings(conversationId)
+    if (!game || game.clock || game.current_game_state.state.game_over || !game.last_move_at || hours <= 0) {
+      return
+    }
+
+    // reminders are counted again from zero after every move
+    if (!game.idle_reminders || game.idle_reminders.since !== game.last_move_at) {
+      game.idle_reminders = {since: game.last_move_at, count: 0}
+    }
+    const interval = hours * 60 * 60 * 1000
+    const idleIntervals = Math.floor((Date.now() - game.last_move_at) / interval)
+    const abandonAt = abandonIdleGames ? game.last_move_at + 3 * interval : null
+
+    let event = null
+    if (idleIntervals >= 3 && abandonIdleGames) {
+      event = {type: 'abandon', game}
+    } else if (Math.min(idleIntervals, 2) > game.idle_reminders.count) {
+      game.idle_reminders.count = Math.min(idleIntervals, 2)
+      event = {type: 'reminder', game, reminder: game.idle_reminders.count, abandonAt}
+    } else {
+      return
+    }
+    gameStore.save()
+
+    const reqBody = {cloudId, conversation: {id: conversationId}}
+    gameBot({reqBody, event}).catch(err => {
+      console.error('  Failed to handle an idle game', prettify_json(err))
+    })
+  })
+}
+
+setInterval(checkIdleGames, IDLE_CHECK_INTERVAL)
+
+/**
+ * Daily puzzles
+ * -------------
+ * Conversations that turned on dailyPuzzle in their configuration get a new chess puzzle every day,
+ * once it is past puzzleHour (UTC, 9 unless configured otherwise).
+ */
+const PUZZLE_CHECK_INTERVAL = 5 * 60 * 1000
+
+function checkPuzzles() {
+  const day = Puzzles.dayNumber()
+  Object.keys(configStore).forEach(conversationId => {
+    const cloudId = configStore[conversationId].cloudId
+    const {dailyPuzzle, puzzleHour} = conversationSettings(conversationId)
+    if (!dailyPuzzle || !cloudId || new Date().getUTCHours() < puzzleHour) {
+      return
+    }
+    const current = puzzleStore.get({cloudId, conversationId})
+    if (current && current.day === day) {
+      return
+    }
+
+    const reqBody = {cloudId, conversation: {id: conversationId}}
+    gameBot({reqBody, event: {type: 'puzzle'}}).catch(err => {
+      console.error('  Failed to post the puzzle of the day', prettify_json(err))
+    })
+  })
+}
+
+setInterval(checkPuzzles, PUZZLE_CHECK_INTERVAL)
+
 
 /**
  * core:webhook
@@ -748,8 +1602,7 @@ app.get('/module/config/content',
   (req, res) => {
     const conversationId = res.locals.context.conversationId;
     console.log("getting config content for conversation " + conversationId);
-    const config = configStore[res.locals.context.conversationId] || {notificationLevel: "NONE"};
-    res.send(JSON.stringify(config));
+    res.send(JSON.stringify(conversationSettings(conversationId)));
   }
 );
 
@@ -760,7 +1613,12 @@ app.post('/module/config/content',
     const cloudId = res.locals.context.cloudId;
     const conversationId = res.locals.context.conversationId;
     console.log("saving config content for conversation " + conversationId + ": " + prettify_json(req.body));
-    configStore[conversationId] = req.body;
+    const {settings, errors} = ConversationSettings.validate(req.body);
+    if (errors) {
+      return res.status(400).json({errors});
+    }
+    // the cloud is needed to post to the conversation in the background, ex. daily puzzles
+    configStore[conversationId] = Object.assign({}, settings, {cloudId});
     jsonfile.writeFileSync(`${STORE_DIRECTORY}/config.json`, configStore)
 
     stride.updateConfigurationState({cloudId, conversationId, configKey: 'refapp-config', state: true})
@@ -769,6 +1627,13 @@ app.post('/module/config/content',
   }
 );
 
+/**
+ * Starting a game from a dialog
+ * -----------------------------
+ * The "New Game" input action opens a wizard to pick the game, the opponent, the side, the AI level and the time control,
+ * for those who would rather not learn the commands. The game is then started just like '@Tabletop play chess with @opponent'.
+ */
+
 app.get('/module/dialog',
   stride.validateJWT,
   (req, res) => {
@@ -776,6 +1641,192 @@ app.get('/module/dialog',
   }
 );
 
+// the games that can be played, and the AI levels of each
+app.get('/module/game-types',
+  stride.validateJWT,
+  (req, res) => {
+    const gameTypes = GameRegistry.getNames().map(name => GameRegistry.get(name)).map(gameType => ({
+      name: gameType.name,
+      maxLevel: gameType.ai.maxLevel,
+      defaultLevel: gameType.ai.maxLevel ? defaultAiLevel(res.locals.context.conversationId, gameType) : undefined,
+    }));
+    res.send(JSON.stringify(gameTypes));
+  }
+);
+
+app.post('/module/new-game',
+  stride.validateJWT,
+  (req, res) => {
+    const {cloudId, conversationId, userId} = res.locals.context;
+    const {gameName, opponentId, color, aiLevel, timeControl} = req.body;
+    console.log('- new game from a dialog', prettify_json(req.body));
+    const messages = Messages.messagesIn(conversationSettings(conversationId).language);
+
+    if (!mayStartGames(conversationId, userId)) {
+      return res.status(403).send(JSON.stringify({error: messages.onlySomeMayStart(BOT_NAME)}));
+    }
+    const gameType = GameRegistry.get(gameName);
+    if (!gameType) {
+      return res.status(400).send(JSON.stringify({error: `Unknown game: ${gameName}`}));
+    }
+    if (!opponentId && parseInt(aiLevel) > gameType.ai.maxLevel) {
+      return res.status(400).send(JSON.stringify({error: messages.aiLevels(gameType.ai.maxLevel)}));
+    }
+
+    const reqBody = {cloudId, conversation: {id: conversationId}, sender: {id: userId}};
+    const formCommand = {
+      action: 'start',
+      gameName: gameType.name,
+      opponent: opponentId ? {isHuman: true, id: opponentId} : {isHuman: false},
+      color: ['white', 'black'].indexOf(color) >= 0 ? color : undefined,
+      aiLevel: !opponentId && parseInt(aiLevel) || undefined,
+      timeControl: GameClock.parseTimeControl(timeControl || '') || undefined,
+    };
+
+    Promise.all([
+      res.sendStatus(204),
+      gameBot({reqBody, formCommand})
+    ]).catch(err => {
+      console.error('  Failed to start a game', prettify_json(err))
+      replyWithMessage(reqBody, ':warning:', err.message || err)
+    })
+  }
+);
+
+/**
+ * Importing a game from a message
+ * -------------------------------
+ * The "Import as a Game" message action opens a dialog holding the text of the message (a PGN or a FEN),
+ * where the user picks their opponent and side. The game is then started just like '@Tabletop import with @opponent <PGN>'.
+ */
+
+app.get('/module/dialog/import',
+  stride.validateJWT,
+  (req, res) => {
+    res.redirect("/app-module-import.html");
+  }
+);
+
+// the people in the conversation, other than the user asking (unless includeSelf is set), ex. to pick an opponent from
+app.get('/module/roster',
+  stride.validateJWT,
+  (req, res, next) => {
+    const {cloudId, conversationId, userId} = res.locals.context;
+
+    stride.getConversationRoster({cloudId, conversationId})
+      .then(roster => Promise.all((roster.values || [])
+        .filter(id => req.query.includeSelf || id !== userId)
+        .map(id => stride.getUser({cloudId, userId: id}).then(user => ({id, name: user.displayName})))))
+      .then(users => res.send(JSON.stringify(users)))
+      .catch(next);
+  }
+);
+
+app.post('/module/import',
+  stride.validateJWT,
+  (req, res) => {
+    const {cloudId, conversationId, userId} = res.locals.context;
+    const {record, opponentId, color, aiLevel} = req.body;
+    console.log('- game import from a dialog', prettify_json(req.body));
+    const messages = Messages.messagesIn(conversationSettings(conversationId).language);
+
+    if (!mayStartGames(conversationId, userId)) {
+      return res.status(403).send(JSON.stringify({error: messages.onlySomeMayStart(BOT_NAME)}));
+    }
+    // a game that can't be imported is reported in the dialog, where it can still be corrected
+    const {fen, chess960, error} = GameRegistry.get('chess').readPgn(record || '');
+    if (error) {
+      return res.status(400).send(JSON.stringify({error: messages.importFailed(error)}));
+    }
+    const gameType = GameRegistry.get(chess960 ? 'chess960' : 'chess');
+    const problem = fen && gameType.validatePosition(fen);
+    if (problem) {
+      return res.status(400).send(JSON.stringify({error: messages.badPosition(problem)}));
+    }
+    if (!opponentId && parseInt(aiLevel) > gameType.ai.maxLevel) {
+      return res.status(400).send(JSON.stringify({error: messages.aiLevels(gameType.ai.maxLevel)}));
+    }
+
+    const reqBody = {cloudId, conversation: {id: conversationId}, sender: {id: userId}};
+    const formCommand = {
+      action: 'import',
+      opponent: opponentId ? {isHuman: true, id: opponentId} : {isHuman: false},
+      color: ['white', 'black'].indexOf(color) >= 0 ? color : undefined,
+      aiLevel: !opponentId && parseInt(aiLevel) || undefined,
+      record: record || '',
+    };
+
+    Promise.all([
+      res.sendStatus(204),
+      gameBot({reqBody, formCommand})
+    ]).catch(err => {
+      console.error('  Failed to import a game', prettify_json(err))
+      replyWithMessage(reqBody, ':warning:', err.message || err)
+    })
+  }
+);
+
+// an active game of the conversation, or null (when it's over, or belongs to another conversation)
+function conversationGame({cloudId, conversationId, gameId}) {
+  return gameStore.getConversationGameIds({cloudId, conversationId}).indexOf(gameId) >= 0 ? gameStore.getGameData(gameId) : null
+}
+
+// the player number of a user in a game, -1 when they aren't playing in it
+function playerNumberOf(game, userId) {
+  // expecting contacts in the format 'stride:5a430b108111c32c4340fc8f:@someone'
+  return game.game_players.map(game_player => game_player.contact.split(':', 3)[1]).indexOf(userId.replace(/:/g, '~'))
+}
+
+/**
+ * The buttons of a board
+ * ----------------------
+ * Boards are posted as cards with buttons to resign, offer a draw, see the legal moves and flip the board.
+ * Only the players of the game may use them. Legal moves are answered to the player who asked only,
+ * everything else is played out in the conversation like the matching command ('@Tabletop #7 resign', ...).
+ */
+
+app.options('/module/action/game', cors());
+app.post('/module/action/game',
+  cors(),
+  stride.validateJWT,
+  (req, res) => {
+    const {cloudId, conversationId, userId} = res.locals.context;
+    const {gameId, action} = req.body.parameters || {};
+    console.log('- game action from a board', prettify_json(req.body.parameters));
+
+    const game = conversationGame({cloudId, conversationId, gameId});
+    if (!game) {
+      return res.status(403).send(JSON.stringify({error: "This game is over."}));
+    }
+    if (playerNumberOf(game, userId) < 0) {
+      return res.status(403).send(JSON.stringify({error: "You are not playing in this game."}));
+    }
+
+    const gameType = GameRegistry.get(game.game_name || 'chess');
+    if (action === 'moves' && gameType.legalMoves) {
+      return res.send(JSON.stringify({message: `Legal moves: ${gameType.legalMoves(game.current_game_state.state).join(', ')}`}));
+    }
+
+    const formCommands = {
+      resign: {action: 'forfeit', gameId},
+      draw: {action: 'draw', proposalAction: 'offer', gameId},
+      flip: {action: 'flip', gameId},
+    };
+    if (!formCommands[action]) {
+      return res.status(400).send(JSON.stringify({error: `Unknown action: ${action}`}));
+    }
+
+    const reqBody = {cloudId, conversation: {id: conversationId}, sender: {id: userId}};
+    Promise.all([
+      res.send(JSON.stringify({})),
+      gameBot({reqBody, formCommand: formCommands[action]})
+    ]).catch(err => {
+      console.error('  Failed to play a game action', prettify_json(err))
+      replyWithMessage(reqBody, ':warning:', err.message || err)
+    })
+  }
+);
+
 /**
  * chat:glance
  * ------------
@@ -802,15 +1853,42 @@ app.get('/module/dialog',
  * Stride will then make sure glances are updated for all connected Stride users.
  **/
 
+/**
+ * Tabletop's glance tells each user how many games are waiting on them. Updates pushed to the whole conversation
+ * (see updateGlance in gameBot) can't be told apart by user, so they name the players to move instead.
+ * @param userId: the user looking at the glance, if known
+ */
+function glanceLabel({cloudId, conversationId, userId}) {
+  const games = gameStore.getConversationGameIds({cloudId, conversationId}).map(gameId => gameStore.getGameData(gameId))
+  if (games.length === 0) {
+    return 'No games'
+  }
+  const plural = count => count === 1 ? 'game' : 'games'
+
+  if (userId) {
+    const waiting = games.filter(game => game.current_game_state.state.next_players.indexOf(playerNumberOf(game, userId)) >= 0)
+    return waiting.length > 0 ? `Your turn in ${waiting.length} ${plural(waiting.length)}` : `${games.length} ${plural(games.length)} in progress`
+  }
+
+  // expecting contacts in the format 'stride:5a430b108111c32c4340fc8f:@someone'
+  const nextPlayers = new Set()
+  games.forEach(game => game.current_game_state.state.next_players
+    .map(player_number => game.game_players[player_number].contact.split(':', 3))
+    .filter(contact => contact[1] !== '_none')
+    .forEach(contact => nextPlayers.add(contact[2])))
+  return `${games.length} ${plural(games.length)} in progress${nextPlayers.size > 0 ? `, waiting on ${[...nextPlayers].join(', ')}` : ''}`
+}
+
 app.get('/module/glance/state',
   // cross domain request
   cors(),
   stride.validateJWT,
   (req, res) => {
+    const {cloudId, conversationId, userId} = res.locals.context;
     res.send(
       JSON.stringify({
         "label": {
-          "value": "Click me!"
+          "value": glanceLabel({cloudId, conversationId, userId})
         }
       }));
   }
@@ -840,6 +1918,83 @@ app.get('/module/sidebar',
   }
 );
 
+/**
+ * The sidebar shows the games of the conversation, polling for their latest state.
+ * Players whose turn it is can move from there: a chess piece is dragged, moves of other games are typed.
+ */
+
+// the active games of the conversation, as seen by the user asking
+app.get('/module/games',
+  stride.validateJWT,
+  (req, res) => {
+    const {cloudId, conversationId, userId} = res.locals.context;
+
+    const games = gameStore.getConversationGameIds({cloudId, conversationId})
+      .map(gameId => gameStore.getGameData(gameId))
+      .sort((a, b) => (a.handle || 0) - (b.handle || 0))
+      .map(game => {
+        const gameType = GameRegistry.get(game.game_name || 'chess');
+        const state = game.current_game_state.state;
+        const playerNumber = playerNumberOf(game, userId);
+        return {
+          gameId: game.game_id,
+          handle: game.handle,
+          gameName: gameType.name,
+          // expecting contacts in the format 'stride:5a430b108111c32c4340fc8f:@someone'
+          players: game.game_players.map(game_player => game_player.contact.split(':', 3)[2]),
+          message: state.message,
+          version: game.current_game_state.version,
+          fen: state.fen,
+          board: gameType.renderBoard(state),
+          playerNumber,
+          yourTurn: state.next_players.indexOf(playerNumber) >= 0,
+        };
+      });
+
+    res.send(JSON.stringify(games));
+  }
+);
+
+// plays a move from the sidebar, checking it first so that mistakes are shown there rather than in the conversation,
+// and only replying once it's played so that the sidebar can show why it couldn't be
+app.post('/module/games/move',
+  stride.validateJWT,
+  (req, res) => {
+    const {cloudId, conversationId, userId} = res.locals.context;
+    const {gameId, move} = req.body;
+    console.log('- move from the sidebar', prettify_json(req.body));
+
+    const game = conversationGame({cloudId, conversationId, gameId});
+    if (!game) {
+      return res.status(403).send(JSON.stringify({error: "This game is over."}));
+    }
+    const playerNumber = playerNumberOf(game, userId);
+    if (playerNumber < 0) {
+      return res.status(403).send(JSON.stringify({error: "You are not playing in this game."}));
+    }
+    if (game.current_game_state.state.next_players.indexOf(playerNumber) < 0) {
+      return res.status(403).send(JSON.stringify({error: "It's not your turn."}));
+    }
+    const gameType = GameRegistry.get(game.game_name || 'chess');
+    const state = game.current_game_state.state;
+    const normalizedMove = gameType.parseMove(move || '', state);
+    if (normalizedMove.error || normalizedMove.candidates) {
+      return res.status(400).send(JSON.stringify({error: normalizedMove.error || `'${move}' could mean several moves.`}));
+    }
+    if (gameType.isLegalMove && !gameType.isLegalMove(state, normalizedMove.move, normalizedMove.format)) {
+      return res.status(400).send(JSON.stringify({error: `'${move}' isn't a legal move.`}));
+    }
+
+    const reqBody = {cloudId, conversation: {id: conversationId}, sender: {id: userId}};
+    gameBot({reqBody, formCommand: {action: 'move', gameId, move}})
+      .then(() => res.send(JSON.stringify({})))
+      .catch(err => {
+        console.error('  Failed to play a move from the sidebar', prettify_json(err))
+        res.status(400).send(JSON.stringify({error: err.message || String(err)}))
+      })
+  }
+);
+
 /**
  * Making a call from the app front-end to the app back-end:
  * You can find the context for the request (cloudId, conversationId) in the JWT token
@@ -0,0 +1,229 @@
+const request = require('request')
+const ChessEngine = require('./chess-engine')
+
+const prettyjson = require('prettyjson')
+function prettify_json(data, options = {}) {
+  return '{\n' + prettyjson.render(data, options) + '\n}'
+}
+
+const debugId = 'chess-ai.js'
+const logger = console
+
+// without GAME_AI_URL, moves are searched in-process (much weaker, but needs nothing to be running)
+const {GAME_AI_URL} = process.env
+
+const DRAW_EVALUATION_DEPTH = 3
+const DRAW_SCORE_THRESHOLD = 50
+
+// by level, from 1 to 10: how deep to search, and how often to play a random legal move or the second-best move instead
+const AI_LEVELS = [
+  {depth: 1, random: 0.5, secondBest: 0.3},
+  {depth: 1, random: 0.3, secondBest: 0.3},
+  {depth: 2, random: 0.2, secondBest: 0.3},
+  {depth: 2, random: 0.1, secondBest: 0.25},
+  {depth: 3, random: 0.05, secondBest: 0.2},
+  {depth: 4, random: 0, secondBest: 0.15},
+  {depth: 5, random: 0, secondBest: 0.05},
+  {depth: 7, random: 0, secondBest: 0},
+  {depth: 10, random: 0, secondBest: 0},
+  {depth: 14, random: 0, secondBest: 0},
+]
+const DEFAULT_LEVEL = 8
+
+// the in-process search is too slow to go any deeper, so AIs searching in-process only have the levels it can reach
+const LOCAL_MAX_DEPTH = 3
+const LOCAL_MAX_LEVEL = AI_LEVELS.filter(level => level.depth <= LOCAL_MAX_DEPTH).length
+// the second-best move is picked from a shallow in-process search, whichever AI plays the best moves
+const SECOND_BEST_DEPTH = 2
+
+const PIECE_VALUES = {P: 100, N: 320, B: 330, R: 500, Q: 900, K: 0}
+const MATE_SCORE = 100000
+
+function r2(options) {
+  let logDetails = {
+    request: options
+  }
+
+  return new Promise((resolve, reject) => {
+    logger.info(`- ${debugId}: requesting...` + options.method + '/' + options.uri)
+
+    request(options, (err, response, body) => {
+      if (err) {
+        logger.error(`! ${debugId}: request failed! details =`, prettify_json({logDetails, err}))
+        return reject(err)
+      }
+
+      if (!response || response.statusCode >= 399) {
+        logger.error(`! ${debugId}: request failed with an error response! details =`, prettify_json({logDetails, responseBody: response.body, err}))
+        return reject(new Error('Chess AI API failed'))
+      }
+
+      resolve(JSON.parse(body))
+    })
+  })
+}
+
+function chessAiApiCall(method, url) {
+  const options = {
+    uri: `${GAME_AI_URL}${url}`,
+    method
+  }
+  return r2(options)
+}
+
+// material, plus a little for pieces near the centre, from the point of view of the side to move
+function evaluate(position) {
+  let score = 0
+  position.board.forEach((piece, square) => {
+    if (!piece) {
+      return
+    }
+    const type = piece.toUpperCase()
+    const file = square % 8
+    const rank = Math.floor(square / 8)
+    const centrality = type === 'K' ? 0 : 6 - Math.abs(3.5 - file) - Math.abs(3.5 - rank)
+    const value = PIECE_VALUES[type] + Math.round(centrality * 2)
+    score += (piece === type) === (position.turn === 'w') ? value : -value
+  })
+  return score
+}
+
+// negamax with alpha-beta pruning, looking at captures first
+function search(position, depth, alpha, beta) {
+  const moves = ChessEngine.legalMoves(position)
+  if (moves.length === 0) {
+    return ChessEngine.inCheck(position) ? -MATE_SCORE - depth : 0
+  }
+  if (depth === 0) {
+    return evaluate(position)
+  }
+
+  moves.sort((a, b) => (b.captured ? PIECE_VALUES[b.captured.toUpperCase()] : 0) - (a.captured ? PIECE_VALUES[a.captured.toUpperCase()] : 0))
+  for (const move of moves) {
+    const score = -search(ChessEngine.makeMove(position, move), depth - 1, -beta, -alpha)
+    if (score >= beta) {
+      return beta
+    }
+    alpha = Math.max(alpha, score)
+  }
+  return alpha
+}
+
+// the best of best and move, only searching move as far as it takes to tell whether it's better
+function betterMove(position, move, depth, best) {
+  const score = -search(ChessEngine.makeMove(position, move), Math.min(depth, LOCAL_MAX_DEPTH) - 1, -Infinity, best ? -best.score : Infinity)
+  return !best || score > best.score ? {bestmove: ChessEngine.toUci(move), score} : best
+}
+
+function searchLocally(fen, depth) {
+  const position = ChessEngine.parseFen(fen)
+  return ChessEngine.legalMoves(position).reduce((best, move) => betterMove(position, move, depth, best), null)
+}
+
+// the same search, letting other work (requests, the clocks) run between the moves of the position,
+// for searches made while a player waits on the reply rather than in the AI's own turn
+function searchLocallyInSteps(fen, depth) {
+  const position = ChessEngine.parseFen(fen)
+  const moves = ChessEngine.legalMoves(position)
+
+  return new Promise(resolve => {
+    const step = (i, best) => {
+      if (i === moves.length) {
+        return resolve(best)
+      }
+      setImmediate(step, i + 1, betterMove(position, moves[i], depth, best))
+    }
+    step(0, null)
+  })
+}
+
+// every legal move with its exact score, best first
+function rankMovesLocally(fen, depth) {
+  const position = ChessEngine.parseFen(fen)
+
+  return ChessEngine.legalMoves(position)
+    .map(move => ({bestmove: ChessEngine.toUci(move), score: -search(ChessEngine.makeMove(position, move), depth - 1, -Infinity, Infinity)}))
+    .sort((a, b) => b.score - a.score)
+}
+
+/**
+ * Finds the best move in a position
+ * @param inProcess: search in-process even when there is a remote chess AI
+ * @returns a Promise of {bestmove}, the move in UCI ('g7g6'), along with its score in centipawns for the side to move
+ *   when searched in-process (the remote chess AI doesn't score its moves)
+ */
+function findBestMove(fen, depth, inProcess = false) {
+  if (!GAME_AI_URL || inProcess) {
+    const best = searchLocally(fen, depth)
+    return best ? Promise.resolve(best) : Promise.reject(new Error('No legal moves'))
+  }
+
+  // {"bestmove":"g7g6","actualdepth":10,"interrupted":false,"millis":1271,"ponder":"d7d8"}
+  return chessAiApiCall('GET', `/moves?fen=${encodeURIComponent(fen)}&depth=${depth}`).then(data => {
+    if (!data.bestmove) {
+      throw new Error('Chess AI API failed')
+    }
+    return data
+  })
+}
+
+/**
+ * Picks the move the AI plays at a level, weaker levels sometimes playing a random or second-best move on purpose
+ * @returns a Promise of the move in UCI
+ */
+function chooseMove(fen, level, inProcess) {
+  const {depth, random, secondBest} = AI_LEVELS[level - 1]
+  const roll = Math.random()
+
+  if (roll < random) {
+    const moves = ChessEngine.legalMoves(ChessEngine.parseFen(fen))
+    if (moves.length > 0) {
+      return Promise.resolve(ChessEngine.toUci(moves[Math.floor(Math.random() * moves.length)]))
+    }
+  } else if (roll < random + secondBest) {
+    const ranked = rankMovesLocally(fen, SECOND_BEST_DEPTH)
+    if (ranked.length > 1) {
+      return Promise.resolve(ranked[1].bestmove)
+    }
+  }
+
+  return findBestMove(fen, depth, inProcess).then(data => data.bestmove)
+}
+
+/**
+ * Builds the AI hooks of a chess game type around its rules backend
+ * @param inProcess: never use the remote chess AI, ex. for variants it doesn't know
+ */
+function forRules(rules, {inProcess = false} = {}) {
+  const maxLevel = inProcess || !GAME_AI_URL ? LOCAL_MAX_LEVEL : AI_LEVELS.length
+  const defaultLevel = Math.min(DEFAULT_LEVEL, maxLevel)
+
+  return {
+    maxLevel,
+    defaultLevel,
+
+    performAIMove(game) {
+      // games stored with a higher level play the strongest one there is
+      const level = Math.min(game.ai_level || defaultLevel, maxLevel)
+      return chooseMove(game.current_game_state.state.fen, level, inProcess).then(move =>
+        rules.performMove(game, move, 'bestmove')
+      )
+    },
+
+    // resolves to true when the AI considers the position roughly equal,
+    // always scored in-process since the remote chess AI only tells its best move
+    evaluateDrawOffer(game) {
+      return searchLocallyInSteps(game.current_game_state.state.fen, DRAW_EVALUATION_DEPTH).then(best => {
+        if (!best) {
+          throw new Error('No legal moves')
+        }
+        return Math.abs(best.score) <= DRAW_SCORE_THRESHOLD
+      })
+    },
+  }
+}
+
+module.exports = {
+  findBestMove,
+  forRules,
+}
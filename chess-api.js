@@ -10,12 +10,12 @@ function prettify_json(data, options = {}) {
 const debugId = 'chess-api.js'
 const logger = console
 
-const {GAME_AI_URL, GAME_API_URL, GAME_API_KEY} = process.env;
-if (!GAME_AI_URL) throw `Missing required env variable: GAME_AI_URL`
+const {GAME_API_URL, GAME_API_KEY} = process.env;
 if (!GAME_API_URL) throw `Missing required env variable: GAME_API_URL`
 if (!GAME_API_KEY) throw `Missing required env variable: GAME_API_KEY`
 
 const GAME_API_RULES = 'chess'
+const PLAYER_COLORS = ['White', 'Black']
 
 function r2(options) {
   let logDetails = {
@@ -38,7 +38,7 @@ function r2(options) {
         return reject(new Error(error || 'Unexpected Game API error'))
       }
 
-      const json = JSON.parse(body)
+      const json = body ? JSON.parse(body) : {}
 
       console.log('response', prettify_json(json))
       resolve(json)
@@ -57,12 +57,24 @@ function gameApiCall(method, url) {
   return r2(options)
 }
 
-function chessAiApiCall(method, url) {
-  const options = {
-    uri: `${GAME_AI_URL}${url}`,
-    method
-  }
-  return r2(options)
+// the Game API has no notion of resigning, running out of time, agreeing to a draw or abandoning, so those results are recorded on our side
+function recordResult(game, winners, message) {
+  const currentGameState = game.current_game_state
+
+  const gameState = Object.assign({}, currentGameState, {
+    version: currentGameState.version + 1,
+    state: Object.assign({}, currentGameState.state, {
+      next_players: [],
+      game_over: true,
+      winners,
+      message
+    })
+  })
+
+  game.game_states.push(gameState)
+  game.current_game_state = gameState
+
+  return gameState
 }
 
 class ChessApi {
@@ -77,6 +89,7 @@ class ChessApi {
         const gameId = game.game_id
 
         game.current_game_state = game.game_states[0]
+        game.last_move_at = Date.now()
 
         Promise.all(playerContacts.map((playerContact, playerNumber) =>
           gameApiCall('PUT', `/games/${gameId}/players/${playerNumber}?contact=${encodeURIComponent(playerContact)}`)
@@ -107,6 +120,7 @@ class ChessApi {
         
         game.game_states.push(gameState)
         game.current_game_state = gameState
+        game.last_move_at = Date.now()
 
         resolve(gameState)
       }).catch(error => {
@@ -115,29 +129,50 @@ class ChessApi {
     })
   }
 
-  performAIMove(game) {
-    const depth = 7
-    const fen = game.current_game_state.state.fen
+  // rolls back the last moveCount states, deleting them from the Game API newest first
+  takeBack(game, moveCount) {
+    const gameId = game.game_id
+    const targetIndex = game.game_states.length - 1 - moveCount
+    if (moveCount < 1 || targetIndex < 0) {
+      return Promise.reject(new Error('Not enough moves to take back'))
+    }
 
-    return new Promise((resolve, reject) => {
-      chessAiApiCall('GET', `/moves?fen=${encodeURIComponent(fen)}&depth=${depth}`).then(data => {
-        // {"bestmove":"g7g6","actualdepth":10,"interrupted":false,"millis":1271,"ponder":"d7d8"}
+    const undoneGameStates = game.game_states.slice(targetIndex + 1).reverse()
 
-        if (!data.bestmove) {
-          reject('Chess AI API failed')
-          return
-        }
+    return undoneGameStates.reduce((promise, gameState) => promise.then(() =>
+      gameApiCall('DELETE', `/games/${gameId}/states/${gameState.version}`)
+    ), Promise.resolve()).then(() => {
+      game.game_states.splice(targetIndex + 1)
+      game.current_game_state = game.game_states[targetIndex]
+      game.last_move_at = Date.now()
 
-        this.performMove(game, data.bestmove, 'bestmove').then(gameState => {
-          resolve(gameState)
-        }).catch(error => {
-          reject(error)
-        })
-      }).catch(error => {
-        reject(error)
-      })
+      return game.current_game_state
     })
   }
+
+  forfeit(game, playerNumber) {
+    const winners = game.game_players.map((game_player, number) => number).filter(number => number !== playerNumber)
+    const message = `${PLAYER_COLORS[playerNumber]} forfeits, ${winners.map(number => PLAYER_COLORS[number]).join(' and ')} wins`
+
+    return Promise.resolve(recordResult(game, winners, message))
+  }
+
+  timeOut(game, playerNumber) {
+    const winners = game.game_players.map((game_player, number) => number).filter(number => number !== playerNumber)
+    const message = `${PLAYER_COLORS[playerNumber]} ran out of time, ${winners.map(number => PLAYER_COLORS[number]).join(' and ')} wins`
+
+    return Promise.resolve(recordResult(game, winners, message))
+  }
+
+  agreeDraw(game) {
+    return Promise.resolve(recordResult(game, [], 'Draw by agreement'))
+  }
+
+  abandon(game) {
+    const gameState = recordResult(game, [], 'Game abandoned')
+    gameState.state.abandoned = true
+    return Promise.resolve(gameState)
+  }
 }
 
 module.exports = new ChessApi()
@@ -0,0 +1,184 @@
+// Draws a chess position as a PNG: the board with its coordinates, the last move and a king in check highlighted.
+//
+// Pieces are drawn from simple shapes (circles, boxes and polygons) combined through their signed distance functions,
+// which gives smooth edges and an outline for free.
+
+const ChessEngine = require('./chess-engine')
+const RasterImage = require('./raster-image')
+
+const SQUARE_SIZE = 52
+const MARGIN = 24
+const COORDINATE_SCALE = 2
+
+const LIGHT_SQUARE = [240, 217, 181]
+const DARK_SQUARE = [181, 136, 99]
+const BACKGROUND = [64, 61, 57]
+const COORDINATES = [220, 220, 220]
+const LAST_MOVE = [246, 246, 105]
+const CHECK = [230, 40, 40]
+
+const WHITE_PIECE = {fill: [250, 250, 250], outline: [20, 20, 20], outlineWidth: 0.035}
+const BLACK_PIECE = {fill: [50, 50, 50], outline: [10, 10, 10], outlineWidth: 0.035}
+
+function circle(cx, cy, r) {
+  return (u, v) => Math.sqrt((u - cx) * (u - cx) + (v - cy) * (v - cy)) - r
+}
+
+// a box given by its center and half its width and height
+function box(cx, cy, halfWidth, halfHeight) {
+  return (u, v) => {
+    const qx = Math.abs(u - cx) - halfWidth
+    const qy = Math.abs(v - cy) - halfHeight
+    return Math.sqrt(Math.pow(Math.max(qx, 0), 2) + Math.pow(Math.max(qy, 0), 2)) + Math.min(Math.max(qx, qy), 0)
+  }
+}
+
+// any simple polygon, given by its corners as [u, v]
+function polygon(points) {
+  return (u, v) => {
+    let distance = Infinity
+    let sign = 1
+    points.forEach((point, i) => {
+      const previous = points[(i + points.length - 1) % points.length]
+      const ex = previous[0] - point[0]
+      const ey = previous[1] - point[1]
+      const wx = u - point[0]
+      const wy = v - point[1]
+      const t = Math.min(1, Math.max(0, (wx * ex + wy * ey) / (ex * ex + ey * ey)))
+      const bx = wx - ex * t
+      const by = wy - ey * t
+      distance = Math.min(distance, bx * bx + by * by)
+
+      // crossing the edge from one side to the other flips whether the point is inside
+      const above = v >= point[1]
+      const below = v < previous[1]
+      const left = ex * wy > ey * wx
+      if ((above && below && left) || (!above && !below && !left)) {
+        sign = -sign
+      }
+    })
+    return sign * Math.sqrt(distance)
+  }
+}
+
+function union(...shapes) {
+  return (u, v) => Math.min(...shapes.map(shape => shape(u, v)))
+}
+
+const PIECE_SHAPES = {
+  p: union(
+    circle(0.5, 0.33, 0.12),
+    box(0.5, 0.47, 0.12, 0.03),
+    polygon([[0.40, 0.44], [0.60, 0.44], [0.68, 0.80], [0.32, 0.80]]),
+    box(0.5, 0.84, 0.22, 0.05)
+  ),
+  r: union(
+    box(0.32, 0.19, 0.05, 0.05),
+    box(0.5, 0.19, 0.05, 0.05),
+    box(0.68, 0.19, 0.05, 0.05),
+    box(0.5, 0.30, 0.22, 0.06),
+    box(0.5, 0.56, 0.16, 0.25),
+    box(0.5, 0.84, 0.25, 0.05)
+  ),
+  n: union(
+    polygon([[0.30, 0.80], [0.74, 0.80], [0.72, 0.62], [0.66, 0.42], [0.60, 0.26], [0.52, 0.16], [0.46, 0.10], [0.44, 0.18],
+      [0.34, 0.24], [0.22, 0.42], [0.20, 0.52], [0.26, 0.56], [0.36, 0.50], [0.44, 0.44], [0.46, 0.52], [0.34, 0.66]]),
+    box(0.5, 0.84, 0.24, 0.05)
+  ),
+  b: union(
+    circle(0.5, 0.15, 0.05),
+    polygon([[0.38, 0.36], [0.62, 0.36], [0.5, 0.18]]),
+    circle(0.5, 0.44, 0.16),
+    box(0.5, 0.63, 0.14, 0.03),
+    polygon([[0.40, 0.62], [0.60, 0.62], [0.66, 0.80], [0.34, 0.80]]),
+    box(0.5, 0.84, 0.24, 0.05)
+  ),
+  q: union(
+    polygon([[0.28, 0.80], [0.72, 0.80], [0.80, 0.30], [0.72, 0.55], [0.65, 0.25], [0.57, 0.55], [0.5, 0.22],
+      [0.43, 0.55], [0.35, 0.25], [0.28, 0.55], [0.20, 0.30]]),
+    circle(0.20, 0.28, 0.05),
+    circle(0.35, 0.23, 0.05),
+    circle(0.5, 0.20, 0.05),
+    circle(0.65, 0.23, 0.05),
+    circle(0.80, 0.28, 0.05),
+    box(0.5, 0.84, 0.26, 0.05)
+  ),
+  k: union(
+    box(0.5, 0.24, 0.04, 0.13),
+    box(0.5, 0.20, 0.11, 0.035),
+    polygon([[0.30, 0.80], [0.70, 0.80], [0.78, 0.46], [0.66, 0.36], [0.5, 0.40], [0.34, 0.36], [0.22, 0.46]]),
+    box(0.5, 0.84, 0.26, 0.05)
+  ),
+}
+
+// the squares the last move went from and to, if any
+function lastMoveSquares(game) {
+  const gameStates = game.game_states
+  for (let i = gameStates.length - 1; i > 0; i--) {
+    const previous = gameStates[i - 1].state
+    const state = gameStates[i].state
+    // states recording a result repeat the position of the move before
+    if (state.fen === previous.fen) {
+      continue
+    }
+    if (state.last_move) {
+      return [state.last_move.uci.slice(0, 2), state.last_move.uci.slice(2, 4)].map(ChessEngine.squareIndex)
+    }
+    const position = ChessEngine.parseFen(previous.fen)
+    const placement = state.fen.split(' ')[0]
+    const move = ChessEngine.legalMoves(position).find(legalMove =>
+      ChessEngine.toFen(ChessEngine.makeMove(position, legalMove)).split(' ')[0] === placement)
+    return move ? [move.from, move.to] : []
+  }
+  return []
+}
+
+/**
+ * Draws the current position of a chess game, White at the bottom unless flipped
+ * @returns the image as a PNG Buffer
+ */
+function renderBoardImage(game, {flipped = false} = {}) {
+  const position = ChessEngine.parseFen(game.current_game_state.state.fen)
+  const highlighted = lastMoveSquares(game)
+  const king = position.board.indexOf(position.turn === 'w' ? 'K' : 'k')
+  const checked = ChessEngine.inCheck(position) ? king : -1
+
+  const size = 8 * SQUARE_SIZE + 2 * MARGIN
+  const image = new RasterImage(size, size, BACKGROUND)
+
+  position.board.forEach((piece, square) => {
+    const file = square % 8
+    const rank = Math.floor(square / 8)
+    const x = MARGIN + (flipped ? 7 - file : file) * SQUARE_SIZE
+    const y = MARGIN + (flipped ? rank : 7 - rank) * SQUARE_SIZE
+
+    image.fillRect(x, y, SQUARE_SIZE, SQUARE_SIZE, (file + rank) % 2 === 0 ? DARK_SQUARE : LIGHT_SQUARE)
+    if (highlighted.indexOf(square) >= 0) {
+      image.fillRect(x, y, SQUARE_SIZE, SQUARE_SIZE, LAST_MOVE, 0.45)
+    }
+    if (square === checked) {
+      image.fillRect(x, y, SQUARE_SIZE, SQUARE_SIZE, CHECK, 0.6)
+    }
+    if (piece) {
+      image.fillShape(x, y, SQUARE_SIZE, PIECE_SHAPES[piece.toLowerCase()], piece === piece.toUpperCase() ? WHITE_PIECE : BLACK_PIECE)
+    }
+  })
+
+  for (let i = 0; i < 8; i++) {
+    const file = 'abcdefgh'[flipped ? 7 - i : i]
+    const fileSize = image.textSize(file, COORDINATE_SCALE)
+    image.drawText(MARGIN + i * SQUARE_SIZE + (SQUARE_SIZE - fileSize.width) / 2, size - MARGIN + (MARGIN - fileSize.height) / 2,
+      file, COORDINATES, COORDINATE_SCALE)
+
+    const rank = String(flipped ? i + 1 : 8 - i)
+    const rankSize = image.textSize(rank, COORDINATE_SCALE)
+    image.drawText((MARGIN - rankSize.width) / 2, MARGIN + i * SQUARE_SIZE + (SQUARE_SIZE - rankSize.height) / 2,
+      rank, COORDINATES, COORDINATE_SCALE)
+  }
+
+  return image.toPng()
+}
+
+module.exports = {
+  renderBoardImage,
+}
@@ -0,0 +1,516 @@
+// A chess rules engine: FEN parsing and output, legal move generation, SAN and UCI notation,
+// and check, mate and draw detection, for standard chess and Chess960 (Fischer random).
+//
+// Positions are plain objects:
+//   board:      64 squares, a1 = 0, b1 = 1, ..., h8 = 63, holding FEN piece letters or null
+//   turn:       'w' or 'b'
+//   castling:   FEN castling rights, ex. 'KQkq' or '-', where K and Q stand for the outermost rook on that side of the king,
+//               or Shredder-FEN rook files for Chess960, ex. 'HAha'
+//   enPassant:  the square a pawn may capture en passant on, ex. 'e3' or '-'
+//   halfmove:   moves since the last capture or pawn move
+//   fullmove:   the number of the move being played
+//
+// Moves are {from, to, piece, captured, promotion, castle, rookFrom, enPassant} with squares as board indexes.
+// Castling moves take the king to the g or c file and the rook next to it, wherever they started (as in Chess960).
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'
+
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]]
+const ROOK_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+const BISHOP_DIRECTIONS = [[1, 1], [1, -1], [-1, 1], [-1, -1]]
+const QUEEN_DIRECTIONS = ROOK_DIRECTIONS.concat(BISHOP_DIRECTIONS)
+const PROMOTIONS = ['q', 'r', 'b', 'n']
+
+function squareIndex(name) {
+  if (!/^[a-h][1-8]$/.test(name)) {
+    return -1
+  }
+  return (Number(name[1]) - 1) * 8 + (name.charCodeAt(0) - 'a'.charCodeAt(0))
+}
+
+function squareName(index) {
+  return 'abcdefgh'[index % 8] + (Math.floor(index / 8) + 1)
+}
+
+function fileOf(index) {
+  return index % 8
+}
+
+function rankOf(index) {
+  return Math.floor(index / 8)
+}
+
+function colorOf(piece) {
+  return piece === piece.toUpperCase() ? 'w' : 'b'
+}
+
+function opponentOf(color) {
+  return color === 'w' ? 'b' : 'w'
+}
+
+/**
+ * Parses a FEN, throwing an Error that says what is wrong with it when it isn't valid
+ */
+function parseFen(fen) {
+  const fields = (fen || '').trim().split(/\s+/)
+  if (fields.length < 4 || fields.length > 6) {
+    throw new Error('A FEN has 4 to 6 fields')
+  }
+  const [placement, turn, castling, enPassant, halfmove = '0', fullmove = '1'] = fields
+
+  const rows = placement.split('/')
+  if (rows.length !== 8) {
+    throw new Error('A FEN board has 8 ranks')
+  }
+  const board = new Array(64).fill(null)
+  rows.forEach((row, i) => {
+    let file = 0
+    row.split('').forEach(ch => {
+      if (/[1-8]/.test(ch)) {
+        file += Number(ch)
+      } else if (/[prnbqkPRNBQK]/.test(ch)) {
+        if (file < 8) {
+          board[(7 - i) * 8 + file] = ch
+        }
+        file++
+      } else {
+        throw new Error(`Unknown piece '${ch}'`)
+      }
+    })
+    if (file !== 8) {
+      throw new Error(`Rank ${8 - i} doesn't have 8 squares`)
+    }
+  })
+
+  if (turn !== 'w' && turn !== 'b') {
+    throw new Error(`The side to move must be 'w' or 'b'`)
+  }
+  if (!/^(-|[KQA-H]{0,2}[kqa-h]{0,2})$/.test(castling) || castling === '') {
+    throw new Error(`Invalid castling rights '${castling}'`)
+  }
+  if (enPassant !== '-' && !/^[a-h][36]$/.test(enPassant)) {
+    throw new Error(`Invalid en passant square '${enPassant}'`)
+  }
+  if (!/^\d+$/.test(halfmove) || !/^\d+$/.test(fullmove) || Number(fullmove) < 1) {
+    throw new Error('Invalid move counters')
+  }
+
+  return {board, turn, castling, enPassant, halfmove: Number(halfmove), fullmove: Number(fullmove)}
+}
+
+/**
+ * Checks that a position could be played from, throwing an Error that says what is wrong with it otherwise
+ */
+function validatePosition(position) {
+  const {board, turn} = position
+  ;['K', 'k'].forEach(king => {
+    const count = board.filter(piece => piece === king).length
+    if (count !== 1) {
+      throw new Error(`${king === 'K' ? 'White' : 'Black'} must have exactly one king`)
+    }
+  })
+  if ([0, 7].some(rank => board.slice(rank * 8, rank * 8 + 8).some(piece => piece && piece.toUpperCase() === 'P'))) {
+    throw new Error('Pawns cannot be on the first or last rank')
+  }
+  if (inCheck(position, opponentOf(turn))) {
+    throw new Error(`${turn === 'w' ? 'Black' : 'White'} is in check but it is not their move`)
+  }
+  ;['w', 'b'].forEach(color => {
+    const rights = position.castling.split('').filter(right => right !== '-' && colorOf(right) === color)
+    if (castlingRooks(position, color).length !== rights.length) {
+      throw new Error(`${color === 'w' ? 'White' : 'Black'} cannot castle: the king or rook is not on its first rank`)
+    }
+  })
+  if (position.enPassant !== '-') {
+    const square = squareIndex(position.enPassant)
+    const pawn = square + (turn === 'w' ? -8 : 8)
+    if (rankOf(square) !== (turn === 'w' ? 5 : 2) || board[pawn] !== (turn === 'w' ? 'p' : 'P')) {
+      throw new Error(`There is no pawn that could be taken en passant on ${position.enPassant}`)
+    }
+  }
+  if (legalMoves(position).length === 0) {
+    throw new Error('The game is already over in this position')
+  }
+}
+
+/**
+ * A random Chess960 starting position: bishops on opposite colors, and the king between the rooks
+ */
+function randomChess960Fen() {
+  const pieces = new Array(8).fill(null)
+  const place = (piece, files) => {
+    const free = files.filter(file => !pieces[file])
+    pieces[free[Math.floor(Math.random() * free.length)]] = piece
+  }
+  place('B', [0, 2, 4, 6])
+  place('B', [1, 3, 5, 7])
+  place('Q', [0, 1, 2, 3, 4, 5, 6, 7])
+  place('N', [0, 1, 2, 3, 4, 5, 6, 7])
+  place('N', [0, 1, 2, 3, 4, 5, 6, 7])
+  // the three squares left get a rook, the king and a rook, in that order
+  const left = [0, 1, 2, 3, 4, 5, 6, 7].filter(file => !pieces[file])
+  pieces[left[0]] = 'R'
+  pieces[left[1]] = 'K'
+  pieces[left[2]] = 'R'
+
+  const white = pieces.join('')
+  return `${white.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${white} w KQkq - 0 1`
+}
+
+function toFen(position) {
+  const rows = []
+  for (let rank = 7; rank >= 0; rank--) {
+    let row = ''
+    let empty = 0
+    for (let file = 0; file < 8; file++) {
+      const piece = position.board[rank * 8 + file]
+      if (piece) {
+        row += (empty || '') + piece
+        empty = 0
+      } else {
+        empty++
+      }
+    }
+    rows.push(row + (empty || ''))
+  }
+  return [rows.join('/'), position.turn, position.castling, position.enPassant, position.halfmove, position.fullmove].join(' ')
+}
+
+// calls visit(index) for each square reached from `from` by stepping or sliding in the given directions
+function walk(from, directions, slide, visit) {
+  directions.forEach(([df, dr]) => {
+    let file = fileOf(from) + df
+    let rank = rankOf(from) + dr
+    while (file >= 0 && file < 8 && rank >= 0 && rank < 8) {
+      if (visit(rank * 8 + file) === false || !slide) {
+        break
+      }
+      file += df
+      rank += dr
+    }
+  })
+}
+
+function isAttacked(position, square, byColor) {
+  const board = position.board
+  const own = piece => piece && colorOf(piece) === byColor
+  let attacked = false
+
+  walk(square, KNIGHT_STEPS, false, index => {
+    if (own(board[index]) && board[index].toUpperCase() === 'N') attacked = true
+  })
+  walk(square, QUEEN_DIRECTIONS, false, index => {
+    if (own(board[index]) && board[index].toUpperCase() === 'K') attacked = true
+  })
+  walk(square, ROOK_DIRECTIONS, true, index => {
+    if (board[index]) {
+      if (own(board[index]) && 'RQ'.indexOf(board[index].toUpperCase()) >= 0) attacked = true
+      return false
+    }
+  })
+  walk(square, BISHOP_DIRECTIONS, true, index => {
+    if (board[index]) {
+      if (own(board[index]) && 'BQ'.indexOf(board[index].toUpperCase()) >= 0) attacked = true
+      return false
+    }
+  })
+  // pawns attack from one rank behind, as seen from their side
+  const pawnRank = rankOf(square) + (byColor === 'w' ? -1 : 1)
+  ;[-1, 1].forEach(df => {
+    const file = fileOf(square) + df
+    if (file >= 0 && file < 8 && pawnRank >= 0 && pawnRank < 8) {
+      const piece = board[pawnRank * 8 + file]
+      if (own(piece) && piece.toUpperCase() === 'P') attacked = true
+    }
+  })
+
+  return attacked
+}
+
+function kingSquare(position, color) {
+  return position.board.indexOf(color === 'w' ? 'K' : 'k')
+}
+
+function inCheck(position, color = position.turn) {
+  const king = kingSquare(position, color)
+  return king >= 0 && isAttacked(position, king, opponentOf(color))
+}
+
+// the rooks the side may still castle with, as [{side: 'K' or 'Q', rookFrom}]
+function castlingRooks(position, color) {
+  const rank = color === 'w' ? 0 : 7
+  const king = kingSquare(position, color)
+  const rook = color === 'w' ? 'R' : 'r'
+  if (king < 0 || rankOf(king) !== rank) {
+    return []
+  }
+
+  const rooks = []
+  position.castling.split('').filter(right => right !== '-' && colorOf(right) === color).forEach(right => {
+    const letter = right.toUpperCase()
+    let rookFrom = -1
+    if (letter === 'K') {
+      for (let file = 7; file > fileOf(king) && rookFrom < 0; file--) {
+        if (position.board[rank * 8 + file] === rook) rookFrom = rank * 8 + file
+      }
+    } else if (letter === 'Q') {
+      for (let file = 0; file < fileOf(king) && rookFrom < 0; file++) {
+        if (position.board[rank * 8 + file] === rook) rookFrom = rank * 8 + file
+      }
+    } else if (position.board[rank * 8 + 'ABCDEFGH'.indexOf(letter)] === rook) {
+      rookFrom = rank * 8 + 'ABCDEFGH'.indexOf(letter)
+    }
+    if (rookFrom >= 0) {
+      rooks.push({side: rookFrom > king ? 'K' : 'Q', rookFrom, right})
+    }
+  })
+  return rooks
+}
+
+function pseudoLegalMoves(position) {
+  const {board, turn} = position
+  const moves = []
+  const isOwn = piece => piece && colorOf(piece) === turn
+  const isEnemy = piece => piece && colorOf(piece) !== turn
+
+  board.forEach((piece, from) => {
+    if (!isOwn(piece)) {
+      return
+    }
+    const type = piece.toUpperCase()
+    const add = (to, extra) => moves.push(Object.assign({from, to, piece, captured: board[to] || null}, extra))
+
+    if (type === 'P') {
+      const direction = turn === 'w' ? 8 : -8
+      const startRank = turn === 'w' ? 1 : 6
+      const lastRank = turn === 'w' ? 7 : 0
+      const addPawn = (to, extra) => {
+        if (rankOf(to) === lastRank) {
+          PROMOTIONS.forEach(promotion => add(to, Object.assign({promotion}, extra)))
+        } else {
+          add(to, extra)
+        }
+      }
+
+      if (!board[from + direction]) {
+        addPawn(from + direction)
+        if (rankOf(from) === startRank && !board[from + 2 * direction]) {
+          add(from + 2 * direction)
+        }
+      }
+      ;[-1, 1].forEach(df => {
+        const file = fileOf(from) + df
+        if (file < 0 || file > 7) {
+          return
+        }
+        const to = from + direction + df
+        if (isEnemy(board[to])) {
+          addPawn(to)
+        } else if (squareName(to) === position.enPassant) {
+          add(to, {enPassant: true, captured: turn === 'w' ? 'p' : 'P'})
+        }
+      })
+    } else {
+      const directions = type === 'N' ? KNIGHT_STEPS : type === 'B' ? BISHOP_DIRECTIONS : type === 'R' ? ROOK_DIRECTIONS : QUEEN_DIRECTIONS
+      const slide = 'BRQ'.indexOf(type) >= 0
+      walk(from, directions, slide, to => {
+        if (isOwn(board[to])) {
+          return false
+        }
+        add(to)
+        if (board[to]) {
+          return false
+        }
+      })
+    }
+  })
+
+  // castling: the king and rook haven't moved (per the castling rights), the squares both travel over are empty
+  // but for the two of them, and the king doesn't start, cross or land on an attacked square
+  const kingFrom = kingSquare(position, turn)
+  const enemy = opponentOf(turn)
+  castlingRooks(position, turn).forEach(({side, rookFrom}) => {
+    const rank = rankOf(kingFrom)
+    const kingTo = rank * 8 + (side === 'K' ? 6 : 2)
+    const rookTo = rank * 8 + (side === 'K' ? 5 : 3)
+    const lowest = Math.min(kingFrom, kingTo, rookFrom, rookTo)
+    const highest = Math.max(kingFrom, kingTo, rookFrom, rookTo)
+    for (let square = lowest; square <= highest; square++) {
+      if (board[square] && square !== kingFrom && square !== rookFrom) {
+        return
+      }
+    }
+    for (let square = Math.min(kingFrom, kingTo); square <= Math.max(kingFrom, kingTo); square++) {
+      if (isAttacked(position, square, enemy)) {
+        return
+      }
+    }
+    moves.push({from: kingFrom, to: kingTo, piece: board[kingFrom], captured: null, castle: side, rookFrom})
+  })
+
+  return moves
+}
+
+/**
+ * Plays a move, returning the new position (the given one is left untouched)
+ */
+function makeMove(position, move) {
+  const board = position.board.slice()
+  const turn = position.turn
+  const type = move.piece.toUpperCase()
+
+  if (move.castle) {
+    // the king and rook may swap squares in Chess960, so both leave before either lands
+    const rook = board[move.rookFrom]
+    board[move.from] = null
+    board[move.rookFrom] = null
+    board[move.to] = move.piece
+    board[rankOf(move.from) * 8 + (move.castle === 'K' ? 5 : 3)] = rook
+  } else {
+    board[move.to] = move.promotion ? (turn === 'w' ? move.promotion.toUpperCase() : move.promotion) : move.piece
+    board[move.from] = null
+  }
+  if (move.enPassant) {
+    board[move.to + (turn === 'w' ? -8 : 8)] = null
+  }
+
+  // moving the king loses both castling rights, moving or capturing a castling rook loses its own
+  const lostRights = []
+  ;['w', 'b'].forEach(color => {
+    if (move.from === kingSquare(position, color)) {
+      position.castling.split('').filter(right => right !== '-' && colorOf(right) === color).forEach(right => lostRights.push(right))
+    }
+    castlingRooks(position, color).forEach(({rookFrom, right}) => {
+      if (move.from === rookFrom || move.to === rookFrom) {
+        lostRights.push(right)
+      }
+    })
+  })
+  const castling = position.castling.split('').filter(right => lostRights.indexOf(right) < 0).join('')
+
+  const double = type === 'P' && Math.abs(move.to - move.from) === 16
+
+  return {
+    board,
+    turn: opponentOf(turn),
+    castling: castling || '-',
+    enPassant: double ? squareName((move.from + move.to) / 2) : '-',
+    halfmove: type === 'P' || move.captured ? 0 : position.halfmove + 1,
+    fullmove: turn === 'b' ? position.fullmove + 1 : position.fullmove,
+  }
+}
+
+function legalMoves(position) {
+  return pseudoLegalMoves(position).filter(move => !inCheck(makeMove(position, move), position.turn))
+}
+
+function isInsufficientMaterial(position) {
+  const pieces = position.board.filter(piece => piece)
+  if (pieces.some(piece => 'PRQprq'.indexOf(piece) >= 0)) {
+    return false
+  }
+  // bare kings, or a single minor piece against a bare king
+  return pieces.length <= 3
+}
+
+/**
+ * The outcome of a position
+ * @returns {check, checkmate, stalemate, insufficientMaterial, fiftyMoves, gameOver, winner}
+ */
+function getStatus(position) {
+  const check = inCheck(position)
+  const noMoves = legalMoves(position).length === 0
+  const status = {
+    check,
+    checkmate: check && noMoves,
+    stalemate: !check && noMoves,
+    insufficientMaterial: isInsufficientMaterial(position),
+    fiftyMoves: position.halfmove >= 100,
+  }
+  status.gameOver = noMoves || status.insufficientMaterial || status.fiftyMoves
+  status.winner = status.checkmate ? opponentOf(position.turn) : null
+  return status
+}
+
+function toSan(position, move) {
+  let san
+  if (move.castle) {
+    san = move.castle === 'K' ? 'O-O' : 'O-O-O'
+  } else {
+    const type = move.piece.toUpperCase()
+    if (type === 'P') {
+      san = (move.captured ? 'abcdefgh'[fileOf(move.from)] + 'x' : '') + squareName(move.to) +
+        (move.promotion ? '=' + move.promotion.toUpperCase() : '')
+    } else {
+      // disambiguate by file, then by rank, then by both
+      const others = legalMoves(position).filter(other => other.piece === move.piece && other.to === move.to && other.from !== move.from)
+      let disambiguation = ''
+      if (others.length > 0) {
+        if (others.every(other => fileOf(other.from) !== fileOf(move.from))) {
+          disambiguation = 'abcdefgh'[fileOf(move.from)]
+        } else if (others.every(other => rankOf(other.from) !== rankOf(move.from))) {
+          disambiguation = String(rankOf(move.from) + 1)
+        } else {
+          disambiguation = squareName(move.from)
+        }
+      }
+      san = type + disambiguation + (move.captured ? 'x' : '') + squareName(move.to)
+    }
+  }
+
+  const next = makeMove(position, move)
+  if (inCheck(next)) {
+    san += legalMoves(next).length === 0 ? '#' : '+'
+  }
+  return san
+}
+
+// castling is written as the king's move in standard chess (e1g1), and as the king taking its own rook otherwise (f1h1)
+function toUci(move) {
+  const standard = !move.castle || (fileOf(move.from) === 4 && [0, 7].indexOf(fileOf(move.rookFrom)) >= 0)
+  return squareName(move.from) + squareName(standard ? move.to : move.rookFrom) + (move.promotion || '')
+}
+
+// finds the legal move written in SAN, forgiving check marks, capture marks, '0-0' castling and a missing '=' before promotions
+function fromSan(position, san) {
+  const normalize = text => text.replace(/[+#!?]+$/, '').replace(/x/g, '')
+  const clean = normalize(san.trim().replace(/^0-0-0/, 'O-O-O').replace(/^0-0/, 'O-O')
+    .replace(/^([a-h](?:x[a-h])?[18])([QRBN])/, '$1=$2'))
+  return legalMoves(position).find(move => normalize(toSan(position, move)) === clean) || null
+}
+
+function fromUci(position, uci) {
+  const match = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/.exec(uci.trim().toLowerCase())
+  if (!match) {
+    return null
+  }
+  const from = squareIndex(match[1])
+  const to = squareIndex(match[2])
+  const legal = legalMoves(position)
+  const moves = legal.filter(move => move.from === from && move.to === to && !move.castle)
+  if (moves.length === 0) {
+    return legal.find(move => move.castle && move.from === from && (move.rookFrom === to || move.to === to)) || null
+  }
+  if (moves.some(move => move.promotion)) {
+    return moves.find(move => move.promotion === (match[3] || 'q')) || null
+  }
+  return moves[0] || null
+}
+
+module.exports = {
+  START_FEN,
+  parseFen,
+  validatePosition,
+  randomChess960Fen,
+  toFen,
+  squareIndex,
+  squareName,
+  legalMoves,
+  makeMove,
+  inCheck,
+  getStatus,
+  toSan,
+  toUci,
+  fromSan,
+  fromUci,
+}
@@ -0,0 +1,400 @@
+// Turns a bot mention into a command
+//
+// The message is first split into tokens (words and @mentions, in the order they were written),
+// every word is then classified against the vocabulary below (tolerating small typos),
+// and finally the classified tokens are matched against the grammar of each command:
+//
+//   list:     games|status [mine]
+//   start:    play <game> [as white|black|random] [with] { @opponent | AI [level <n>] } [<time control>] [from <FEN>],
+//             ex. 10+5 or 3d/move for the time control
+//   import:   import [<game>] [as white|black] [with] { @opponent | AI [level <n>] } [<time control>] <PGN or FEN>
+//   rematch:  [<game>] [@opponent | AI] rematch
+//   board:    [<game>] [@opponent | AI] board|show
+//   pgn:      [<game>] [@opponent | AI] pgn, for the current game or else the last finished one
+//   flip:     [<game>] [@opponent | AI] flip, to turn the board around
+//   forfeit:  [<game>] [@opponent | AI] forfeit
+//   draw:     [<game>] [@opponent | AI] offer|accept|decline draw
+//   takeback: [<game>] [@opponent | AI] [offer|accept|decline] takeback
+//   answer:   [<game>] [@opponent | AI] accept|decline, for whichever draw offer or takeback request is pending
+//   move:     [<game>] [@opponent | AI] <move>, where a move may be spoken over several words ("knight to f3")
+//   puzzle:   puzzle [<moves>], to see the puzzle of the day or to answer it
+//
+// Optional words and filler words ("please", "a game of", ...) may appear anywhere,
+// and every command but start may name its game by number ("#7").
+
+const GameClock = require('./game-clock')
+
+const VOCABULARY = new Map([
+  ['play', ['play', 'start', 'begin', 'create', 'new']],
+  ['import', ['import', 'load']],
+  ['with', ['with', 'vs', 'vs.', 'versus', 'against']],
+  ['ai', ['ai', 'computer', 'machine', 'you', 'bot', 'cpu', 'engine']],
+  ['forfeit', ['forfeit', 'resign', 'concede']],
+  ['proposalAction', ['offer', 'propose', 'request', 'ask', 'accept', 'approve', 'decline', 'reject', 'refuse']],
+  ['proposalSubject', ['draw', 'takeback', 'undo']],
+  ['help', ['help', 'usage']],
+  ['list', ['games', 'status', 'list']],
+  ['mine', ['mine', 'my']],
+  ['board', ['board', 'show']],
+  ['pgn', ['pgn', 'export']],
+  ['flip', ['flip', 'rotate']],
+  ['level', ['level']],
+  ['color', ['white', 'black', 'random']],
+  ['rematch', ['rematch', 'revenge']],
+  ['puzzle', ['puzzle', 'puzzles']],
+  ['moveWord', ['king', 'queen', 'rook', 'bishop', 'knight', 'pawn', 'takes', 'captures', 'from', 'castle', 'castles', 'kingside', 'queenside', 'short', 'long']],
+])
+
+// filler words are only ever matched exactly, a typo in one of them is reported back
+const FILLER_WORDS = new Set(['please', 'pls', 'a', 'an', 'the', 'game', 'of', 'me', 'us', 'lets', "let's", 'now', 'thanks', 'i', 'want', 'to', 'hey', 'hi', 'as', 'again'])
+
+// the fields of a FEN, ex. 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1'
+const FEN_PLACEMENT = /^[pnbrqkPNBRQK1-8]+(\/[pnbrqkPNBRQK1-8]+)+$/
+const FEN_FIELD = /^([wb]|-|[KQkqA-Ha-h]+|[a-h][36]|\d+)$/
+
+const PROPOSAL_ACTIONS = new Map([
+  ['offer', 'offer'],
+  ['propose', 'offer'],
+  ['request', 'offer'],
+  ['ask', 'offer'],
+  ['accept', 'accept'],
+  ['approve', 'accept'],
+  ['decline', 'decline'],
+  ['reject', 'decline'],
+  ['refuse', 'decline'],
+])
+
+const PROPOSAL_SUBJECTS = new Map([
+  ['draw', 'draw'],
+  ['takeback', 'takeback'],
+  ['undo', 'takeback'],
+])
+
+/**
+ * Splits text and mention nodes (in document order) into tokens
+ * @param nodes: ADF nodes of type "text" or "mention"
+ * @param botName: mentions of the bot itself are dropped
+ */
+function tokenize(nodes, {botName}) {
+  const tokens = []
+
+  nodes.forEach(node => {
+    if (node.type === 'mention') {
+      if (node.attrs.text !== botName) {
+        tokens.push({type: 'mention', id: node.attrs.id, text: node.attrs.text})
+      }
+    } else if (node.type === 'text') {
+      node.text.split(/\s+/)
+        .map(text => text.trim())
+        .filter(text => text.length > 0)
+        .forEach(text => tokens.push({type: 'word', text}))
+    }
+  })
+
+  return tokens
+}
+
+// Levenshtein distance, giving up as soon as it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1
+  }
+
+  let previous = Array.from({length: b.length + 1}, (value, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    if (Math.min(...current) > max) {
+      return max + 1
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+function allowedTypos(word) {
+  if (word.length >= 8) return 2
+  if (word.length >= 4) return 1
+  return 0
+}
+
+// returns {kind, value} for a word of the vocabulary, or null for anything else (such as a move)
+function classify(text, vocabulary) {
+  const word = text.toLowerCase()
+
+  if (/^#\d+$/.test(word)) {
+    return {kind: 'handle', value: Number(word.slice(1))}
+  }
+  const timeControl = GameClock.parseTimeControl(word)
+  if (timeControl) {
+    return {kind: 'timeControl', value: timeControl}
+  }
+
+  for (const [kind, words] of vocabulary) {
+    if (words.indexOf(word) >= 0) {
+      return {kind, value: word}
+    }
+  }
+  if (FILLER_WORDS.has(word)) {
+    return {kind: 'filler', value: word}
+  }
+
+  // words containing digits are moves, never typos
+  if (/\d/.test(word)) {
+    return null
+  }
+
+  let best = null
+  for (const [kind, words] of vocabulary) {
+    words.filter(candidate => allowedTypos(candidate) > 0).forEach(candidate => {
+      const distance = editDistance(word, candidate, allowedTypos(candidate))
+      if (distance <= allowedTypos(candidate) && (!best || distance < best.distance)) {
+        best = {kind, value: candidate, distance}
+      }
+    })
+  }
+
+  return best && {kind: best.kind, value: best.value}
+}
+
+function parseError(tokens, unknown, missing) {
+  return {
+    error: {
+      understood: tokens.filter(token => unknown.indexOf(token) < 0).map(token => token.text),
+      notUnderstood: unknown.map(token => token.text),
+      missing,
+    }
+  }
+}
+
+/**
+ * Matches tokens against the command grammar
+ * @param games: a Map from every name and alias of a game to its name, the first entry being the default game
+ * @returns {command} when the message is a command,
+ *   {error} when only part of it was understood,
+ *   or {} when none of it was
+ */
+function parse(tokens, {games}) {
+  const vocabulary = new Map([...VOCABULARY, ['game', [...games.keys()]]])
+  const classified = tokens.map(token => Object.assign({}, token, token.type === 'mention' ? {kind: 'mention'} : classify(token.text, vocabulary)))
+  // when importing a game, everything from its first tag, move number or FEN on is the game record
+  const importing = classified.findIndex(token => token.kind === 'import')
+  const recordStart = classified.findIndex((token, i) => i > importing && token.type === 'word' && (/^(\[|\d+\.)/.test(token.text) || FEN_PLACEMENT.test(token.text)))
+  const record = importing >= 0 && recordStart >= 0 ? classified.splice(recordStart).map(token => token.text).join(' ') : undefined
+  // the number after 'level' is the level, not a move
+  classified.forEach((token, i) => {
+    const next = classified[i + 1]
+    if (token.kind === 'level' && next && !next.kind && /^\d+$/.test(next.text)) {
+      Object.assign(next, {kind: 'levelNumber', value: Number(next.text)})
+    }
+  })
+  // when starting a game, the words after 'from' are the position to start from
+  const from = classified.findIndex(token => token.kind === 'moveWord' && token.value === 'from')
+  if (from >= 0 && classified.some(token => token.kind === 'play')) {
+    classified[from].kind = 'from'
+    const placement = classified[from + 1]
+    if (placement && placement.type === 'word' && FEN_PLACEMENT.test(placement.text)) {
+      placement.kind = 'fen'
+      for (let i = from + 2; i < from + 7 && i < classified.length && classified[i].type === 'word' && FEN_FIELD.test(classified[i].text); i++) {
+        classified[i].kind = 'fen'
+      }
+    }
+  }
+  const ofKind = kind => classified.filter(token => token.kind === kind)
+  const unknown = classified.filter(token => !token.kind)
+  const moveTokens = classified.filter(token => !token.kind || token.kind === 'moveWord')
+
+  const gameNames = ofKind('game').map(token => games.get(token.value))
+  const hasAI = ofKind('ai').length > 0
+  const hasMention = ofKind('mention').length > 0
+  const opponent = hasMention ? {isHuman: true} : hasAI ? {isHuman: false} : undefined
+
+  if (ofKind('help').length > 0) {
+    return {}
+  }
+  if (classified.length === 0 || unknown.length === classified.length) {
+    return unknown.length === 1 ? {command: {action: 'move', move: unknown[0].text}} : {}
+  }
+  if (gameNames.length > 1) {
+    return parseError(classified, ofKind('game').slice(1), null)
+  }
+  const gameName = gameNames[0]
+  const handles = ofKind('handle')
+  if (handles.length > 1) {
+    return parseError(classified, handles.slice(1), null)
+  }
+  const handle = handles.length > 0 ? handles[0].value : undefined
+
+  if (ofKind('list').length > 0) {
+    const unexpected = classified.filter(token => ['list', 'mine', 'filler'].indexOf(token.kind) < 0)
+    if (unexpected.length > 0) {
+      return parseError(classified, unexpected, null)
+    }
+    return {command: {action: 'list', mine: ofKind('mine').length > 0}}
+  }
+
+  if (ofKind('puzzle').length > 0) {
+    const unexpected = classified.filter(token => token.kind && ['puzzle', 'moveWord', 'filler'].indexOf(token.kind) < 0)
+    if (unexpected.length > 0) {
+      return parseError(classified, unexpected, null)
+    }
+    const answer = moveTokens.length > 0 ? moveTokens.map(token => token.text).join(' ') : undefined
+    return {command: {action: 'puzzle', answer}}
+  }
+
+  if (ofKind('play').length > 0 || ofKind('import').length > 0) {
+    if (moveTokens.length > 0 || handles.length > 0) {
+      return parseError(classified, moveTokens.concat(handles), null)
+    }
+    if (!opponent) {
+      return parseError(classified, [], 'opponent')
+    }
+    const timeControls = ofKind('timeControl')
+    if (timeControls.length > 1) {
+      return parseError(classified, timeControls.slice(1), null)
+    }
+    const timeControl = timeControls.length > 0 ? timeControls[0].value : undefined
+
+    const levels = ofKind('level')
+    const levelNumbers = ofKind('levelNumber')
+    if (levels.length > 0 && opponent.isHuman) {
+      return parseError(classified, levels.concat(levelNumbers), null)
+    }
+    if (levels.length > 1 || levelNumbers.length > 1) {
+      return parseError(classified, levels.slice(1).concat(levelNumbers.slice(1)), null)
+    }
+    if (levels.length > 0 && levelNumbers.length === 0) {
+      return parseError(classified, [], 'level')
+    }
+    const aiLevel = levelNumbers.length > 0 ? levelNumbers[0].value : undefined
+
+    const colors = ofKind('color')
+    if (colors.length > 1) {
+      return parseError(classified, colors.slice(1), null)
+    }
+    const color = colors.length > 0 ? colors[0].value : undefined
+
+    if (ofKind('from').length > 0 && ofKind('fen').length === 0) {
+      return parseError(classified, [], 'position')
+    }
+    const fen = ofKind('fen').length > 0 ? ofKind('fen').map(token => token.text).join(' ') : undefined
+
+    if (ofKind('import').length > 0) {
+      if (!record) {
+        return parseError(classified, [], 'record')
+      }
+      return {command: {action: 'import', gameName, opponent, timeControl, aiLevel, color, record}}
+    }
+    return {command: {action: 'start', gameName: gameName || [...games.values()][0], opponent, timeControl, aiLevel, color, fen}}
+  }
+
+  // time controls, AI levels and colors only make sense when starting a game
+  const startOnly = ofKind('timeControl').concat(ofKind('level'), ofKind('levelNumber'), ofKind('color'))
+  if (startOnly.length > 0) {
+    return parseError(classified, startOnly, null)
+  }
+
+  if (ofKind('rematch').length > 0) {
+    if (moveTokens.length > 0 || handles.length > 0) {
+      return parseError(classified, moveTokens.concat(handles), null)
+    }
+    return {command: {action: 'rematch', gameName, opponent}}
+  }
+
+  if (ofKind('board').length > 0) {
+    if (moveTokens.length > 0) {
+      return parseError(classified, moveTokens, null)
+    }
+    return {command: {action: 'board', gameName, handle, opponent}}
+  }
+
+  if (ofKind('pgn').length > 0) {
+    if (moveTokens.length > 0) {
+      return parseError(classified, moveTokens, null)
+    }
+    return {command: {action: 'pgn', gameName, handle, opponent}}
+  }
+
+  if (ofKind('flip').length > 0) {
+    if (moveTokens.length > 0) {
+      return parseError(classified, moveTokens, null)
+    }
+    return {command: {action: 'flip', gameName, handle, opponent}}
+  }
+
+  if (ofKind('forfeit').length > 0) {
+    if (moveTokens.length > 0) {
+      return parseError(classified, moveTokens, null)
+    }
+    return {command: {action: 'forfeit', gameName, handle, opponent}}
+  }
+
+  const subjects = ofKind('proposalSubject')
+  if (subjects.length > 0) {
+    const action = PROPOSAL_SUBJECTS.get(subjects[0].value)
+    const proposalActions = ofKind('proposalAction')
+    if (moveTokens.length > 0) {
+      return parseError(classified, moveTokens, null)
+    }
+    if (proposalActions.length === 0 && action === 'draw') {
+      return parseError(classified, [], 'proposalAction')
+    }
+    const proposalAction = proposalActions.length > 0 ? PROPOSAL_ACTIONS.get(proposalActions[0].value) : 'offer'
+    return {command: {action, gameName, handle, proposalAction, opponent}}
+  }
+
+  const proposalActions = ofKind('proposalAction')
+  if (proposalActions.length > 0 && moveTokens.length === 0) {
+    const proposalAction = PROPOSAL_ACTIONS.get(proposalActions[0].value)
+    if (proposalAction === 'offer') {
+      return parseError(classified, [], 'proposalSubject')
+    }
+    return {command: {action: 'answer', gameName, handle, proposalAction, opponent}}
+  }
+
+  // 'a' is a filler word, but also a column in connect-four: when nothing else can be the move, it is the move
+  const letters = ofKind('filler').filter(token => /^[a-h]$/i.test(token.text))
+  if (moveTokens.length === 0 && letters.length === 1) {
+    return {command: {action: 'move', gameName, handle, move: letters[0].text, opponent}}
+  }
+  if (moveTokens.length === 0) {
+    return parseError(classified, [], 'move')
+  }
+  const move = moveTokens.map(token => token.kind ? token.value : token.text).join(' ')
+  return {command: {action: 'move', gameName, handle, move, opponent}}
+}
+
+const MISSING_DESCRIPTIONS = {
+  opponent: `who to play against (mention @someone or say 'AI')`,
+  proposalAction: `whether to offer, accept or decline`,
+  proposalSubject: `what to offer (a draw or a takeback)`,
+  move: `which move to make`,
+  level: `which AI level to play at`,
+  position: `which position to start from (a FEN)`,
+  record: `which game to import (paste its PGN or FEN after the command)`,
+}
+
+/**
+ * Describes a parse error the way it can be quoted back to the user,
+ * ex. "I understood 'play chess' but not 'pleas'"
+ */
+function describeParseError(error) {
+  const understood = error.understood.length > 0 ? `I understood '${error.understood.join(' ')}'` : `I didn't understand that`
+  if (error.notUnderstood.length > 0) {
+    return `${understood} but not '${error.notUnderstood.join(' ')}'.`
+  }
+  return `${understood} but not ${MISSING_DESCRIPTIONS[error.missing]}.`
+}
+
+module.exports = {
+  tokenize,
+  parse,
+  describeParseError,
+}
@@ -0,0 +1,132 @@
+// The settings of a conversation, set on the configuration page
+//
+//   defaultAiLevel:      the AI level of games that don't ask for one, null for the default of each game
+//   defaultTimeControl:  the time control of games that don't ask for one (ex. '10+5'), '' for untimed games
+//   boardStyle:          'image' to draw boards as pictures (when the game can), 'text' to always show them as text
+//   whoMayStart:         'anyone', or 'selected' for only the users listed in starters
+//   starters:            the ids of the users who may start games, when whoMayStart is 'selected'
+//   idleReminderHours:   hours without a move before the players to move are reminded, 0 to never remind
+//   abandonIdleGames:    whether games idle for three times idleReminderHours are abandoned
+//   dailyPuzzle:         whether a chess puzzle is posted every day
+//   puzzleHour:          the hour of the day (UTC) to post the puzzle at
+//   language:            the language of the bot's replies, see messages.js
+//
+// Values are checked when they are saved, and settings missing from a stored configuration
+// (saved before they existed, or never saved at all) take their default.
+
+const GameClock = require('./game-clock')
+const Messages = require('./messages')
+
+const MAX_AI_LEVEL = 10
+
+// parse: (value) => the value to store, or undefined when it isn't valid
+const SCHEMA = {
+  defaultAiLevel: {
+    default: null,
+    parse: value => {
+      if (value === null || value === '') {
+        return null
+      }
+      const level = Number(value)
+      return Number.isInteger(level) && level >= 1 && level <= MAX_AI_LEVEL ? level : undefined
+    },
+    description: `an AI level from 1 to ${MAX_AI_LEVEL}`,
+  },
+  defaultTimeControl: {
+    default: '',
+    parse: value => {
+      const text = String(value).trim()
+      return text === '' || GameClock.parseTimeControl(text) ? text : undefined
+    },
+    description: `a time control like 10+5 or 3d/move`,
+  },
+  boardStyle: oneOf(['image', 'text']),
+  whoMayStart: oneOf(['anyone', 'selected']),
+  starters: {
+    default: [],
+    parse: value => Array.isArray(value) && value.every(id => typeof id === 'string') ? value : undefined,
+    description: `a list of user ids`,
+  },
+  idleReminderHours: {
+    default: 24,
+    parse: value => {
+      const hours = Number(value)
+      return value !== '' && hours >= 0 ? hours : undefined
+    },
+    description: `a number of hours, 0 or more`,
+  },
+  abandonIdleGames: flag(true),
+  dailyPuzzle: flag(false),
+  puzzleHour: {
+    default: 9,
+    parse: value => {
+      const hour = Number(value)
+      return value !== '' && Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : undefined
+    },
+    description: `an hour from 0 to 23`,
+  },
+  language: oneOf(Messages.LANGUAGES),
+}
+
+// a setting taking one of the given values, the first one by default
+function oneOf(values) {
+  return {
+    default: values[0],
+    parse: value => values.indexOf(value) >= 0 ? value : undefined,
+    description: values.map(value => `'${value}'`).join(' or '),
+  }
+}
+
+// an on/off setting, also accepting the 'on' and 'off' of checkboxes
+function flag(defaultValue) {
+  return {
+    default: defaultValue,
+    parse: value => value === true || value === 'true' || value === 'on' ? true :
+      value === false || value === 'false' || value === 'off' ? false : undefined,
+    description: `true or false`,
+  }
+}
+
+/**
+ * The settings of a conversation, from its stored configuration
+ * @returns every setting, with its default when it's missing or not valid
+ */
+function read(config = {}) {
+  const settings = {}
+  Object.keys(SCHEMA).forEach(name => {
+    const value = config[name] === undefined ? undefined : SCHEMA[name].parse(config[name])
+    settings[name] = value === undefined ? SCHEMA[name].default : value
+  })
+  return settings
+}
+
+/**
+ * Checks settings sent from the configuration page, leaving out anything that isn't a setting
+ * @returns {settings}, every setting included, or {errors} describing the values that aren't valid
+ */
+function validate(input) {
+  const settings = {}
+  const errors = []
+  Object.keys(SCHEMA).forEach(name => {
+    if (input[name] === undefined) {
+      settings[name] = SCHEMA[name].default
+      return
+    }
+    const value = SCHEMA[name].parse(input[name])
+    if (value === undefined) {
+      errors.push(`${name} should be ${SCHEMA[name].description}`)
+    } else {
+      settings[name] = value
+    }
+  })
+  // an empty list would leave nobody able to start a game, not even whoever configured it
+  if (settings.whoMayStart === 'selected' && settings.starters && settings.starters.length === 0) {
+    errors.push(`starters should name at least one user when only selected users may start games`)
+  }
+  return errors.length > 0 ? {errors} : {settings}
+}
+
+module.exports = {
+  read,
+  validate,
+}
@@ -0,0 +1,106 @@
+// Chess clocks for timed games
+//
+// Understood time controls:
+//   Fischer:         10+5      (10 minutes each, plus 5 seconds for every move played)
+//   correspondence:  3d/move   (3 days for every move, also in hours: 12h/move)
+//
+// A clock is stored on the game record, so it survives restarts:
+//   time_control:     the parsed time control
+//   remaining:        milliseconds left, by player number, as of turn_started_at
+//   turn_started_at:  when the players to move started thinking
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+/**
+ * @returns {initial, increment} or {perMove}, in milliseconds, or null when the text isn't a time control
+ */
+function parseTimeControl(text) {
+  let match
+  if ((match = /^(\d+)\+(\d+)$/.exec(text))) {
+    const timeControl = {initial: Number(match[1]) * MINUTE, increment: Number(match[2]) * 1000}
+    return timeControl.initial > 0 ? timeControl : null
+  }
+  if ((match = /^(\d+)([dh])\/move$/i.exec(text))) {
+    const perMove = Number(match[1]) * (match[2].toLowerCase() === 'd' ? DAY : HOUR)
+    return perMove > 0 ? {perMove} : null
+  }
+  return null
+}
+
+function describeTimeControl(timeControl) {
+  if (timeControl.perMove) {
+    return timeControl.perMove % DAY === 0 ? `${timeControl.perMove / DAY}d/move` : `${timeControl.perMove / HOUR}h/move`
+  }
+  return `${timeControl.initial / MINUTE}+${timeControl.increment / 1000}`
+}
+
+function startClock(timeControl, playerCount, now = Date.now()) {
+  return {
+    time_control: timeControl,
+    remaining: Array.from({length: playerCount}, () => timeControl.perMove || timeControl.initial),
+    turn_started_at: now
+  }
+}
+
+// the time a player has left right now, counting down while it's their turn
+function remainingTime(clock, playerNumber, nextPlayers, now = Date.now()) {
+  const thinking = nextPlayers.indexOf(playerNumber) >= 0 ? now - clock.turn_started_at : 0
+  return clock.remaining[playerNumber] - thinking
+}
+
+// the player to move whose time is up, or undefined
+function flaggedPlayer(clock, nextPlayers, now = Date.now()) {
+  return nextPlayers.find(playerNumber => remainingTime(clock, playerNumber, nextPlayers, now) <= 0)
+}
+
+// stops the clock of the player who just moved and starts the next turn
+function punchClock(clock, playerNumber, now = Date.now()) {
+  const timeControl = clock.time_control
+  clock.remaining[playerNumber] = timeControl.perMove ||
+    clock.remaining[playerNumber] - (now - clock.turn_started_at) + timeControl.increment
+  clock.turn_started_at = now
+}
+
+// stops the clocks of the players to move when the game ends, charging them their thinking time down to 0:00 at most,
+// since once it's over nobody is to move and their time would show as it was when the turn started
+function stopClock(clock, nextPlayers, now = Date.now()) {
+  nextPlayers.forEach(playerNumber => {
+    clock.remaining[playerNumber] = Math.max(0, remainingTime(clock, playerNumber, nextPlayers, now))
+  })
+  clock.turn_started_at = now
+}
+
+// starts the turn over, without charging anyone, ex. after a takeback
+function restartTurn(clock, now = Date.now()) {
+  clock.turn_started_at = now
+}
+
+// ex. '2d 5h', '1:02:03', '4:59'
+function formatTime(milliseconds) {
+  const time = Math.max(0, milliseconds)
+  if (time >= DAY) {
+    return `${Math.floor(time / DAY)}d ${Math.floor(time % DAY / HOUR)}h`
+  }
+
+  const pad = number => String(number).padStart(2, '0')
+  const minutes = Math.floor(time % HOUR / MINUTE)
+  const seconds = Math.floor(time % MINUTE / 1000)
+  if (time >= HOUR) {
+    return `${Math.floor(time / HOUR)}:${pad(minutes)}:${pad(seconds)}`
+  }
+  return `${minutes}:${pad(seconds)}`
+}
+
+module.exports = {
+  parseTimeControl,
+  describeTimeControl,
+  startClock,
+  remainingTime,
+  flaggedPlayer,
+  punchClock,
+  stopClock,
+  restartTurn,
+  formatTime,
+}
@@ -0,0 +1,188 @@
+const ChessAi = require('../chess-ai')
+const ChessBoardImage = require('../chess-board-image')
+const ChessEngine = require('../chess-engine')
+const LocalChessApi = require('../local-chess-api')
+const MoveNormalizer = require('../move-normalizer')
+const Pgn = require('../pgn')
+
+// 'remote' plays through the Game API, 'local' runs the rules in-process (for offline development)
+const CHESS_BACKEND = process.env.CHESS_BACKEND || 'remote'
+if (['remote', 'local'].indexOf(CHESS_BACKEND) < 0) throw `Unknown CHESS_BACKEND: ${CHESS_BACKEND} (expected 'remote' or 'local')`
+
+// the Game API only plays from the standard starting position, so games from any other position are played in-process
+function withLocalStarts(remoteRules, localRules) {
+  const rulesOf = game => game.local_rules ? localRules : remoteRules
+  const rules = {
+    createGame(playerContacts, options = {}) {
+      if (!options.fen) {
+        return remoteRules.createGame(playerContacts)
+      }
+      return localRules.createGame(playerContacts, options).then(game => Object.assign(game, {local_rules: true}))
+    }
+  }
+  ;['performMove', 'takeBack', 'forfeit', 'timeOut', 'agreeDraw', 'abandon'].forEach(method => {
+    rules[method] = (game, ...args) => rulesOf(game)[method](game, ...args)
+  })
+  return rules
+}
+
+const rules = CHESS_BACKEND === 'local' ? new LocalChessApi() : withLocalStarts(require('../chess-api'), new LocalChessApi())
+
+// null when the position is one to start a game from, otherwise what is wrong with it
+function validatePosition(fen) {
+  try {
+    ChessEngine.validatePosition(ChessEngine.parseFen(fen))
+    return null
+  } catch (error) {
+    return error.message
+  }
+}
+
+// the position the game started from, when it isn't the usual one
+function startPosition(game) {
+  const fen = game.game_states[0].state.fen
+  return fen !== ChessEngine.START_FEN ? fen : null
+}
+
+const PIECES = {
+  'p': '♟',
+  'r': '♜',
+  'n': '♞',
+  'b': '♝',
+  'k': '♚',
+  'q': '♛',
+  'P': '♙',
+  'R': '♖',
+  'N': '♘',
+  'B': '♗',
+  'K': '♔',
+  'Q': '♕',
+  '.': '.'
+}
+
+// flipped puts Black at the bottom
+function renderBoard(state, {flipped = false} = {}) {
+  const files = flipped ? 'h g f e d c b a' : 'a b c d e f g h'
+  const letters = `    ${files}    `
+  const border = '  +-----------------+  '
+  const rows = state.fen.split(' ')[0]
+    .replace(/[1-8]/g, count => '.'.repeat(Number(count)))
+    .split('/')
+    .map((row, i) => (8-i) + ' | ' + (flipped ? row.split('').reverse() : row.split('')).map(ch => PIECES[ch]).join(' ') + ' | ' + (8-i))
+  return letters + '\n' + border + '\n' + (flipped ? rows.reverse() : rows)
+    .join('\n') + '\n' + border + '\n' + letters
+}
+
+// every legal move in SAN
+function legalMoves(state) {
+  const position = ChessEngine.parseFen(state.fen)
+  return ChessEngine.legalMoves(position).map(move => ChessEngine.toSan(position, move))
+}
+
+// whether a move, as parseMove returns it, can be played in the position (the same check the local rules make)
+function isLegalMove(state, move, format) {
+  const position = ChessEngine.parseFen(state.fen)
+  return !!(format === 'bestmove' ? ChessEngine.fromUci(position, move) : ChessEngine.fromSan(position, move))
+}
+
+// how many of the last moves (of either side) are listed with the board, older ones are only counted
+const LISTED_MOVES = 16
+
+const PIECE_VALUES = {'q': 9, 'r': 5, 'b': 3, 'n': 3, 'p': 1, 'k': 0}
+
+// ex. '14. Re1', or '14. ...Nxe4+' for a move of Black
+function formatMove(move) {
+  return move.white ? `${move.number}. ${move.san}` : `${move.number}. ...${move.san}`
+}
+
+function countPieces(fen) {
+  const counts = {}
+  fen.split(' ')[0].replace(/[^a-zA-Z]/g, '').split('').forEach(piece => {
+    counts[piece] = (counts[piece] || 0) + 1
+  })
+  return counts
+}
+
+// the pieces each side took since the start position, ex. ['♟', '♞'] for White, and the material balance
+function captures(startFen, fen) {
+  const start = countPieces(startFen)
+  const now = countPieces(fen)
+  const taken = pieces => {
+    // a promoted piece isn't a capture, but the pawn it came from isn't one either
+    const promotions = pieces.slice(0, 4).reduce((total, piece) => total + Math.max(0, (now[piece] || 0) - (start[piece] || 0)), 0)
+    return pieces.reduce((symbols, piece) => {
+      const missing = Math.max(0, (start[piece] || 0) - (now[piece] || 0) - (piece === pieces[4] ? promotions : 0))
+      return symbols.concat(Array.from({length: missing}, () => PIECES[piece]))
+    }, [])
+  }
+  const material = pieces => pieces.reduce((total, piece) => total + PIECE_VALUES[piece.toLowerCase()] * (now[piece] || 0), 0)
+
+  return {
+    white: taken(['q', 'r', 'b', 'n', 'p']),
+    black: taken(['Q', 'R', 'B', 'N', 'P']),
+    balance: material(['Q', 'R', 'B', 'N', 'P']) - material(['q', 'r', 'b', 'n', 'p'])
+  }
+}
+
+// the last move, the moves before it and what was captured, for anyone catching up on the game
+function summary(game) {
+  const lines = []
+  const moves = Pgn.numberedMoves(game)
+  if (moves.length > 0) {
+    lines.push(`Last move: ${formatMove(moves[moves.length - 1])}`)
+  }
+  if (moves.length > 1) {
+    const listed = moves.slice(-LISTED_MOVES)
+    const earlier = moves.length - listed.length
+    const moveList = listed.map((move, i) => move.white || i === 0 ? formatMove(move) : move.san).join(' ')
+    lines.push(`Moves: ${earlier > 0 ? `(${earlier} earlier) ` : ''}${moveList}`)
+  }
+
+  const {white, black, balance} = captures(game.game_states[0].state.fen, game.current_game_state.state.fen)
+  if (white.length > 0 || black.length > 0) {
+    const leader = balance > 0 ? `White +${balance}` : balance < 0 ? `Black +${-balance}` : 'even material'
+    lines.push(`Captured: White ${white.join('') || '-'}  Black ${black.join('') || '-'}  (${leader})`)
+  }
+  return lines
+}
+
+/*
+    a b c d e f g h
+  +-----------------+
+8 | ♜ ♞ ♝ ♛ . ♝ ♞ ♜ | 8
+7 | ♟ . . ♟ ♚ . ♟ ♟ | 7
+6 | ♟ . ♟ . . ♟ . . | 6
+5 | . . . . ♟ . . ♕ | 5
+4 | . . . . ♗ . . . | 4
+3 | ♗ . ♗ . . . . . | 3
+2 | . ♗ . ♗ . ♗ ♗ ♗ | 2
+1 | ♖ ♘ ♗ . ♔ . ♘ ♖ | 1
+  +-----------------+
+    a b c d e f g h
+*/
+
+module.exports = {
+  name: 'chess',
+  aliases: [],
+  rules,
+  ai: ChessAi.forRules(rules),
+  parseMove: (input, state) => MoveNormalizer.normalizeMove(input, state.fen),
+  renderBoard,
+  renderImage: ChessBoardImage.renderBoardImage,
+  flippable: true,
+  legalMoves,
+  isLegalMove,
+  validatePosition,
+  startPosition,
+  toPgn: game => Pgn.toPgn(game),
+  summary,
+  readPgn: Pgn.readPgn,
+  moveNumber: gameState => Number(gameState.state.fen.split(' ')[5]),
+  examples: ['e4', 'dxe8=Q+', 'Nbxc6#', 'g1f3', 'knight to f3'],
+  moveHelp: [
+    {description: 'Standard Algebraic Notation (SAN)', link: 'https://en.wikipedia.org/wiki/Algebraic_notation_(chess)'},
+    `, `,
+    {description: 'UCI', link: 'https://en.wikipedia.org/wiki/Universal_Chess_Interface'},
+    `, long algebraic notation or words ('knight to f3', 'castle kingside')`
+  ],
+}
@@ -0,0 +1,17 @@
+const ChessAi = require('../chess-ai')
+const LocalChessApi = require('../local-chess-api')
+const Pgn = require('../pgn')
+const chess = require('./chess')
+
+// Fischer random chess: the pieces of the back ranks start shuffled, and castling takes the king and rook
+// to where they would be after castling in standard chess.
+// Neither the Game API nor the remote chess AI know about it, so it's always played and searched in-process.
+const rules = new LocalChessApi({name: 'chess960', chess960: true})
+
+module.exports = Object.assign({}, chess, {
+  name: 'chess960',
+  aliases: ['chess-960', 'fischerrandom', 'fischer-random', 'freestyle'],
+  rules,
+  ai: ChessAi.forRules(rules, {inProcess: true}),
+  toPgn: game => Pgn.toPgn(game, {variant: 'Chess960'}),
+})
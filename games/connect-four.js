@@ -0,0 +1,145 @@
+const LocalRules = require('./local-rules')
+
+const DISCS = ['X', 'O']
+const PLAYER_NAMES = ['Red (X)', 'Yellow (O)']
+const ROWS = 6
+const COLUMNS = 7
+const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]]
+
+// the board is an array of rows from the top, each a string of columns, '.' for empty slots
+function dropRow(board, column) {
+  for (let row = ROWS - 1; row >= 0; row--) {
+    if (board[row][column] === '.') {
+      return row
+    }
+  }
+  return -1
+}
+
+function drop(board, column, disc) {
+  const row = dropRow(board, column)
+  return board.map((cells, i) => i === row ? cells.slice(0, column) + disc + cells.slice(column + 1) : cells)
+}
+
+function isWin(board, row, column) {
+  const disc = board[row][column]
+  const discAt = (r, c) => r >= 0 && r < ROWS && c >= 0 && c < COLUMNS ? board[r][c] : null
+
+  return DIRECTIONS.some(([dr, dc]) => {
+    let count = 1
+    for (let i = 1; discAt(row + i * dr, column + i * dc) === disc; i++) count++
+    for (let i = 1; discAt(row - i * dr, column - i * dc) === disc; i++) count++
+    return count >= 4
+  })
+}
+
+function openColumns(board) {
+  return [...Array(COLUMNS).keys()].filter(column => board[0][column] === '.')
+}
+
+const rules = new LocalRules({
+  name: 'connect-four',
+  playerNames: PLAYER_NAMES,
+  initialState: () => ({board: Array(ROWS).fill('.'.repeat(COLUMNS))}),
+  applyMove: (state, move, playerNumber) => {
+    const column = Number(move)
+    if (!(column >= 0 && column < COLUMNS)) {
+      throw new Error(`Unknown column '${move}'`)
+    }
+    if (state.board[0][column] !== '.') {
+      throw new Error('That column is full')
+    }
+
+    const row = dropRow(state.board, column)
+    const board = drop(state.board, column, DISCS[playerNumber])
+    const won = isWin(board, row, column)
+
+    return {
+      state: {board},
+      winners: won ? [playerNumber] : [],
+      draw: !won && openColumns(board).length === 0
+    }
+  }
+})
+
+function winningColumns(board, disc) {
+  return openColumns(board).filter(column => isWin(drop(board, column, disc), dropRow(board, column), column))
+}
+
+// wins when it can, blocks when it must, never sets up the opponent's win, and otherwise prefers the center
+function chooseColumn(board, playerNumber) {
+  const disc = DISCS[playerNumber]
+  const opponentDisc = DISCS[1 - playerNumber]
+
+  const wins = winningColumns(board, disc)
+  if (wins.length > 0) {
+    return wins[0]
+  }
+  const blocks = winningColumns(board, opponentDisc)
+  if (blocks.length > 0) {
+    return blocks[0]
+  }
+
+  const columns = openColumns(board)
+  const safe = columns.filter(column => winningColumns(drop(board, column, disc), opponentDisc).length === 0)
+  const candidates = safe.length > 0 ? safe : columns
+  const center = (COLUMNS - 1) / 2
+  const closest = Math.min(...candidates.map(column => Math.abs(column - center)))
+  const best = candidates.filter(column => Math.abs(column - center) === closest)
+  return best[Math.floor(Math.random() * best.length)]
+}
+
+const ai = {
+  performAIMove(game) {
+    const state = game.current_game_state.state
+    return rules.performMove(game, String(chooseColumn(state.board, state.next_players[0])))
+  },
+
+  // only once most of the board is full, and nobody has a win in hand
+  evaluateDrawOffer(game) {
+    const board = game.current_game_state.state.board
+    const empty = board.join('').split('').filter(slot => slot === '.').length
+    return Promise.resolve(empty <= ROWS * COLUMNS / 4 &&
+      winningColumns(board, DISCS[0]).length === 0 && winningColumns(board, DISCS[1]).length === 0)
+  }
+}
+
+// accepts column numbers 1 to 7 or letters a to g
+function parseMove(input) {
+  const text = input.trim().toLowerCase()
+  if (/^[1-7]$/.test(text)) {
+    return {move: String(Number(text) - 1), format: 'column'}
+  }
+  if (/^[a-g]$/.test(text)) {
+    return {move: String('abcdefg'.indexOf(text)), format: 'column'}
+  }
+  return {error: `I don't understand the move '${input}'. Name a column from 1 to 7, or from a to g.`}
+}
+
+function renderBoard(state) {
+  const numbers = '  1 2 3 4 5 6 7  '
+  return numbers + '\n' + state.board.map(cells => '| ' + cells.split('').join(' ') + ' |').join('\n') + '\n+---------------+'
+}
+
+// the columns that aren't full, numbered from 1
+function legalMoves(state) {
+  return openColumns(state.board).map(column => String(column + 1))
+}
+
+function isLegalMove(state, move) {
+  return openColumns(state.board).indexOf(Number(move)) >= 0
+}
+
+module.exports = {
+  name: 'connect-four',
+  aliases: ['connect4', 'connectfour', 'connect-4'],
+  rules,
+  ai,
+  parseMove,
+  renderBoard,
+  legalMoves,
+  isLegalMove,
+  moveNumber: gameState => gameState.version + 1,
+  examples: ['4', 'd'],
+  moveHelp: [`column numbers from 1 to 7, or letters from a to g`],
+}
@@ -0,0 +1,54 @@
+// The registry of game types Tabletop can host
+//
+// A game type provides:
+//   name, aliases:  how players ask for it ('play connect-four', 'play connect4')
+//   rules:          the rules backend, see ChessApi and LocalRules
+//                   (createGame, performMove, takeBack, forfeit, timeOut, agreeDraw, abandon)
+//   ai:             the AI opponent (performAIMove, evaluateDrawOffer, and maxLevel and defaultLevel when it has levels)
+//   parseMove:      (input, state) => {move, format} | {candidates} | {error}
+//   renderBoard:    (state, {flipped}) => the board as monospace text
+//   renderImage:    (game, {flipped}) => the board as a PNG Buffer, optional (see the boardStyle of conversations)
+//   flippable:      true when the board can be turned around (flipped), ex. for Black to see it from their side
+//   legalMoves:     (state) => the moves that can be played, as players would write them, optional
+//   isLegalMove:    (state, move, format) => whether a move returned by parseMove can be played now, optional
+//   moveNumber:     (gameState) => the number of the move being played
+//   summary:        (game) => lines telling how the game got where it is (last move, move list, ...), optional
+//   validatePosition, startPosition: for games that can start from any position (see games/chess.js)
+//   toPgn:          (game) => the game in PGN, for games that can be exported
+//   readPgn:        (text) => {fen, moves, chess960} | {error}, for games that can be imported (see pgn.js)
+//   examples, moveHelp: for the usage message
+
+const gameTypes = new Map() // name and aliases -> game type
+const names = []
+
+function register(gameType) {
+  names.push(gameType.name)
+  ;[gameType.name, ...gameType.aliases].forEach(alias => gameTypes.set(alias, gameType))
+}
+
+// by name or alias
+function get(name) {
+  return gameTypes.get(name)
+}
+
+// canonical names, in registration order, so the first one is the default game
+function getNames() {
+  return names.slice()
+}
+
+// every name and alias players may use
+function getAliases() {
+  return [...gameTypes.keys()]
+}
+
+register(require('./chess'))
+register(require('./chess960'))
+register(require('./tic-tac-toe'))
+register(require('./connect-four'))
+
+module.exports = {
+  register,
+  get,
+  getNames,
+  getAliases,
+}
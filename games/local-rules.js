@@ -0,0 +1,149 @@
+const crypto = require('crypto')
+
+/**
+ * A rules backend for games whose rules run in-process, with the same interface as the remote ChessApi.
+ * Games are shaped the way the Game API shapes them (game_id, game_players, game_states, current_game_state),
+ * and every state has next_players, game_over, winners and message on top of the game's own fields.
+ *
+ * @param name: the game name, also used as a prefix for game ids
+ * @param playerNames: how players are called in messages, by player number, ex. ['X', 'O']
+ * @param initialState: (options) => the game's own fields for a new game, given the options passed to createGame,
+ *   and next_players when someone else than the first player starts; throwing an Error for options it can't start from
+ * @param applyMove: (state, move, playerNumber, {format, history}) => {state, winners, draw, message},
+ *   throwing an Error for illegal moves; history is the game's states so far and message is optional
+ */
+class LocalRules {
+  constructor({name, playerNames, initialState, applyMove}) {
+    this.name = name
+    this.playerNames = playerNames
+    this.initialState = initialState
+    this.applyMove = applyMove
+  }
+
+  createGame(playerContacts, options = {}) {
+    let state
+    try {
+      state = this.initialState(options)
+    } catch (error) {
+      return Promise.reject(error)
+    }
+    const nextPlayers = state.next_players || [0]
+
+    const game = {
+      game_id: `${this.name}-${crypto.randomBytes(8).toString('hex')}`,
+      rules: this.name,
+      game_players: playerContacts.map((contact, player_number) => ({player_number, contact})),
+      game_states: [{
+        version: 0,
+        state: Object.assign(state, {
+          next_players: nextPlayers,
+          game_over: false,
+          winners: [],
+          message: `${nextPlayers.map(number => this.playerNames[number]).join(' and ')} to move`
+        })
+      }]
+    }
+    game.current_game_state = game.game_states[0]
+    game.last_move_at = Date.now()
+
+    return Promise.resolve(game)
+  }
+
+  performMove(game, move, moveFormat) {
+    const currentGameState = game.current_game_state
+    const playerNumber = currentGameState.state.next_players[0]
+
+    let result
+    try {
+      if (currentGameState.state.game_over) {
+        throw new Error('The game is over')
+      }
+      result = this.applyMove(currentGameState.state, move, playerNumber, {format: moveFormat, history: game.game_states})
+    } catch (error) {
+      return Promise.reject(error)
+    }
+
+    const nextPlayer = (playerNumber + 1) % this.playerNames.length
+    const gameOver = result.winners.length > 0 || !!result.draw
+    const message = result.message || (result.winners.length > 0 ? `${result.winners.map(number => this.playerNames[number]).join(' and ')} wins` :
+      result.draw ? 'Draw' : `${this.playerNames[nextPlayer]} to move`)
+
+    return Promise.resolve(this.pushState(game, Object.assign(result.state, {
+      next_players: gameOver ? [] : [nextPlayer],
+      game_over: gameOver,
+      winners: result.winners,
+      message
+    })))
+  }
+
+  takeBack(game, moveCount) {
+    const targetIndex = game.game_states.length - 1 - moveCount
+    if (moveCount < 1 || targetIndex < 0) {
+      return Promise.reject(new Error('Not enough moves to take back'))
+    }
+
+    game.game_states.splice(targetIndex + 1)
+    game.current_game_state = game.game_states[targetIndex]
+    game.last_move_at = Date.now()
+
+    return Promise.resolve(game.current_game_state)
+  }
+
+  forfeit(game, playerNumber) {
+    const winners = game.game_players.map((game_player, number) => number).filter(number => number !== playerNumber)
+    const message = `${this.playerNames[playerNumber]} forfeits, ${winners.map(number => this.playerNames[number]).join(' and ')} wins`
+
+    return Promise.resolve(this.pushState(game, Object.assign({}, game.current_game_state.state, {
+      next_players: [],
+      game_over: true,
+      winners,
+      message
+    })))
+  }
+
+  timeOut(game, playerNumber) {
+    const winners = game.game_players.map((game_player, number) => number).filter(number => number !== playerNumber)
+    const message = `${this.playerNames[playerNumber]} ran out of time, ${winners.map(number => this.playerNames[number]).join(' and ')} wins`
+
+    return Promise.resolve(this.pushState(game, Object.assign({}, game.current_game_state.state, {
+      next_players: [],
+      game_over: true,
+      winners,
+      message
+    })))
+  }
+
+  agreeDraw(game) {
+    return Promise.resolve(this.pushState(game, Object.assign({}, game.current_game_state.state, {
+      next_players: [],
+      game_over: true,
+      winners: [],
+      message: 'Draw by agreement'
+    })))
+  }
+
+  abandon(game) {
+    return Promise.resolve(this.pushState(game, Object.assign({}, game.current_game_state.state, {
+      next_players: [],
+      game_over: true,
+      winners: [],
+      message: 'Game abandoned',
+      abandoned: true
+    })))
+  }
+
+  pushState(game, state) {
+    const gameState = {
+      version: game.current_game_state.version + 1,
+      state
+    }
+
+    game.game_states.push(gameState)
+    game.current_game_state = gameState
+    game.last_move_at = Date.now()
+
+    return gameState
+  }
+}
+
+module.exports = LocalRules
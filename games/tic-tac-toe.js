@@ -0,0 +1,114 @@
+const LocalRules = require('./local-rules')
+
+const SYMBOLS = ['X', 'O']
+const LINES = [
+  [0, 1, 2], [3, 4, 5], [6, 7, 8],
+  [0, 3, 6], [1, 4, 7], [2, 5, 8],
+  [0, 4, 8], [2, 4, 6]
+]
+
+// the board is a string of 9 cells, row by row from the top, '.' for empty cells
+function winnerOf(board) {
+  const line = LINES.find(([a, b, c]) => board[a] !== '.' && board[a] === board[b] && board[a] === board[c])
+  return line ? SYMBOLS.indexOf(board[line[0]]) : -1
+}
+
+const rules = new LocalRules({
+  name: 'tic-tac-toe',
+  playerNames: SYMBOLS,
+  initialState: () => ({board: '.'.repeat(9)}),
+  applyMove: (state, move, playerNumber) => {
+    const cell = Number(move)
+    if (!(cell >= 0 && cell < 9)) {
+      throw new Error(`Unknown cell '${move}'`)
+    }
+    if (state.board[cell] !== '.') {
+      throw new Error('That cell is already taken')
+    }
+
+    const board = state.board.slice(0, cell) + SYMBOLS[playerNumber] + state.board.slice(cell + 1)
+    const winner = winnerOf(board)
+
+    return {
+      state: {board},
+      winners: winner >= 0 ? [winner] : [],
+      draw: winner < 0 && board.indexOf('.') < 0
+    }
+  }
+})
+
+// perfect play: +1 when the player to move wins, 0 for a draw, -1 for a loss
+function minimax(board, playerNumber) {
+  if (winnerOf(board) >= 0) {
+    return {score: -1}
+  }
+  const cells = board.split('').map((cell, i) => i).filter(i => board[i] === '.')
+  if (cells.length === 0) {
+    return {score: 0}
+  }
+
+  let best = null
+  cells.forEach(cell => {
+    const next = board.slice(0, cell) + SYMBOLS[playerNumber] + board.slice(cell + 1)
+    const score = -minimax(next, 1 - playerNumber).score
+    if (!best || score > best.score || (score === best.score && Math.random() < 0.5)) {
+      best = {score, cell}
+    }
+  })
+  return best
+}
+
+const ai = {
+  performAIMove(game) {
+    const state = game.current_game_state.state
+    const {cell} = minimax(state.board, state.next_players[0])
+    return rules.performMove(game, String(cell))
+  },
+
+  evaluateDrawOffer(game) {
+    const state = game.current_game_state.state
+    return Promise.resolve(minimax(state.board, state.next_players[0]).score === 0)
+  }
+}
+
+// accepts 'b2' style coordinates, or cell numbers 1 to 9 counting from the top left
+function parseMove(input) {
+  const text = input.trim().toLowerCase()
+  let match
+  if ((match = /^([a-c])([1-3])$/.exec(text))) {
+    return {move: String((3 - Number(match[2])) * 3 + 'abc'.indexOf(match[1])), format: 'cell'}
+  }
+  if (/^[1-9]$/.test(text)) {
+    return {move: String(Number(text) - 1), format: 'cell'}
+  }
+  return {error: `I don't understand the move '${input}'. Name a cell like 'b2', or a number from 1 to 9.`}
+}
+
+function renderBoard(state) {
+  const rows = [0, 1, 2].map(row => state.board.slice(row * 3, row * 3 + 3).split('').map(cell => cell === '.' ? ' ' : cell))
+  return '    a   b   c\n' + rows.map((cells, i) => `${3 - i}   ${cells.join(' | ')}`).join('\n   ---+---+---\n')
+}
+
+// the empty cells, named like 'b2'
+function legalMoves(state) {
+  return state.board.split('').map((cell, i) => cell === '.' ? 'abc'[i % 3] + (3 - Math.floor(i / 3)) : null)
+    .filter(cell => cell)
+}
+
+function isLegalMove(state, move) {
+  return state.board[Number(move)] === '.'
+}
+
+module.exports = {
+  name: 'tic-tac-toe',
+  aliases: ['tictactoe', 'ttt', 'noughts'],
+  rules,
+  ai,
+  parseMove,
+  renderBoard,
+  legalMoves,
+  isLegalMove,
+  moveNumber: gameState => gameState.version + 1,
+  examples: ['b2', '5'],
+  moveHelp: [`cells like 'b2', or numbers from 1 to 9`],
+}
@@ -0,0 +1,75 @@
+const ChessEngine = require('./chess-engine')
+const LocalRules = require('./games/local-rules')
+
+// An in-process replacement for the remote Game API, with the same interface as ChessApi.
+// States carry the same fields the Game API returns (fen, next_players, game_over, winners, message),
+// plus the last move in SAN and UCI.
+// Games start from the standard position, from a random Chess960 position, or from any valid FEN given to createGame.
+
+const PLAYER_COLORS = ['White', 'Black']
+
+// positions repeat when pieces, side to move, castling rights and en passant square are the same
+function repetitionKey(fen) {
+  return fen.split(' ').slice(0, 4).join(' ')
+}
+
+function initialState({fen}, chess960) {
+  const startFen = fen || (chess960 ? ChessEngine.randomChess960Fen() : ChessEngine.START_FEN)
+  const position = ChessEngine.parseFen(startFen)
+  ChessEngine.validatePosition(position)
+
+  return {fen: ChessEngine.toFen(position), next_players: [position.turn === 'w' ? 0 : 1]}
+}
+
+function applyMove(state, move, playerNumber, {format, history}) {
+  const position = ChessEngine.parseFen(state.fen)
+  const legalMove = format === 'bestmove' ? ChessEngine.fromUci(position, move) : ChessEngine.fromSan(position, move)
+  if (!legalMove) {
+    throw new Error(`Illegal move: ${move}`)
+  }
+
+  const next = ChessEngine.makeMove(position, legalMove)
+  const fen = ChessEngine.toFen(next)
+  const status = ChessEngine.getStatus(next)
+  const repetitions = history.filter(gameState => repetitionKey(gameState.state.fen) === repetitionKey(fen)).length + 1
+  const mover = PLAYER_COLORS[playerNumber]
+  const opponent = PLAYER_COLORS[1 - playerNumber]
+
+  const result = {
+    state: {
+      fen,
+      last_move: {san: ChessEngine.toSan(position, legalMove), uci: ChessEngine.toUci(legalMove)}
+    },
+    winners: status.checkmate ? [playerNumber] : [],
+    draw: !status.checkmate && (status.gameOver || repetitions >= 3)
+  }
+
+  if (status.checkmate) {
+    result.message = `Checkmate, ${mover} wins`
+  } else if (status.stalemate) {
+    result.message = 'Draw by stalemate'
+  } else if (status.insufficientMaterial) {
+    result.message = 'Draw by insufficient material'
+  } else if (status.fiftyMoves) {
+    result.message = 'Draw by the fifty-move rule'
+  } else if (repetitions >= 3) {
+    result.message = 'Draw by threefold repetition'
+  } else if (status.check) {
+    result.message = `${opponent} to move, check`
+  }
+
+  return result
+}
+
+class LocalChessApi extends LocalRules {
+  constructor({name = 'chess', chess960 = false} = {}) {
+    super({
+      name,
+      playerNames: PLAYER_COLORS,
+      initialState: options => initialState(options, chess960),
+      applyMove
+    })
+  }
+}
+
+module.exports = LocalChessApi
@@ -0,0 +1,176 @@
+// The replies of the bot, in every language a conversation can pick on its configuration page
+//
+// A message is a string, a function of what it is about returning a string, or, for messages mentioning people,
+// a function returning the parts of the message: strings and the players to mention, in order.
+// English is the default language, and every other one has the same messages.
+//
+// Only the sentences of the bot itself are translated: the usage message, and what comes from elsewhere
+// (the messages of the rules, ex. 'Checkmate, White wins', and what the command, move and PGN parsers
+// explain about their input) stay in English.
+
+const MESSAGES = {
+  en: {
+    mentionForHelp: bot => ` Mention ${bot} with 'help' to see what I understand.`,
+    onlySomeMayStart: bot => `Only some people may start games in this conversation, see the configuration of ${bot}.`,
+
+    gameExists: `Game already exists.`,
+    noFinishedGame: `There is no finished game to have a rematch of.`,
+    cannotImport: gameName => `Games of ${gameName} can't be imported.`,
+    importFailed: error => `I can't import that game: ${error}.`,
+    cannotStartFromPosition: gameName => `Games of ${gameName} can't start from a position.`,
+    badPosition: problem => `I can't start from that position: ${problem}.`,
+    aiLevels: maxLevel => `AI levels go from 1 to ${maxLevel}.`,
+    aiHasNoLevels: gameName => `The ${gameName} AI has no levels.`,
+    moveRefused: (label, san, error) => `Move ${label} ${san} was refused: ${error}`,
+
+    gameOver: `That game is over.`,
+    gameNotFound: bot => `Game not found.\nTo start a new game:\n'${bot} play chess with @someone'.`,
+    handleNotFound: handle => `Game #${handle} not found.`,
+    notPlayingInHandle: handle => `You are not playing in game #${handle}.`,
+    tooManyGames: (handles, bot) => `Too many games found (${handles.join(', ')}). ` +
+      `Please specify which game by its number, ex. '${bot} ${handles[0] || '#1'} e4', or by mentioning the other @player.`,
+    notPlaying: `You are not playing in this game.`,
+    notYourTurn: `It's not your turn.`,
+    ambiguousMove: (move, candidates) => `'${move}' could mean ${candidates.join(' or ')}. Which one did you mean?`,
+    yourMove: players => ['Your move: ', ...players],
+    cannotFlip: gameName => `Boards of ${gameName} can't be flipped.`,
+    cannotExport: gameName => `Games of ${gameName} can't be exported to PGN.`,
+    boardMovedBelow: 'This board has moved below ',
+    startedFrom: 'Started from ',
+    pgnFile: name => `PGN of the game, for analysis in other tools: ${name}`,
+
+    nothingToAnswer: `There is no draw offer or takeback request to answer.`,
+    alreadyOfferedDraw: `You already offered a draw.`,
+    drawOfferPending: bot => `There is already a draw offer for you. Reply with '${bot} accept draw' or '${bot} decline draw'.`,
+    aiDeclinesDraw: `AI declines the draw offer.`,
+    offersDraw: (player, opponents, bot) => [player, ' offers a draw to ', ...opponents,
+      `. Reply with '${bot} accept draw' or '${bot} decline draw'.`],
+    noDrawOffer: `There is no draw offer to answer.`,
+    ownDrawOffer: `You can't answer your own draw offer.`,
+    drawDeclined: player => [player, ', your draw offer was declined.'],
+    noMoveToTakeBack: `You have no move to take back.`,
+    alreadyAskedTakeback: `You already asked for a takeback.`,
+    takebackPending: bot => `There is already a takeback request for you. Reply with '${bot} accept takeback' or '${bot} decline takeback'.`,
+    asksTakeback: (player, opponents, bot) => [player, ' asks ', ...opponents,
+      ` to take back their last move. Reply with '${bot} accept takeback' or '${bot} decline takeback'.`],
+    noTakebackRequest: `There is no takeback request to answer.`,
+    ownTakebackRequest: `You can't answer your own takeback request.`,
+    takebackDeclined: player => [player, ', your takeback request was declined.'],
+
+    reminder: (reminder, players, opponents, gameName, ago) => [reminder > 1 ? 'Second reminder: ' : 'Reminder: ', ...players,
+      `, it's your move in ${gameName} against ${opponents.join(', ')} (last move ${ago}).`],
+    abandonWarning: date => ` The game will be abandoned if there is no move by ${date}.`,
+    ago: (count, unit) => `${count} ${unit}${count > 1 ? 's' : ''} ago`,
+    justNow: 'just now',
+
+    noActiveGames: (mine, bot) => `${mine ? `You have no active games.` : `There are no active games.`} To start a new game: '${bot} play chess with @someone'.`,
+    activeGames: mine => mine ? `Your active games:` : `Active games:`,
+    gameListEntry: (gameName, players, nextPlayers, moveNumber) =>
+      `${gameName}: ${players.join(' vs ')}  -  ${nextPlayers.join(', ')} to play move ${moveNumber}`,
+    lastMove: ago => `, last move ${ago}`,
+    board: 'board',
+
+    puzzleOfTheDay: 'Puzzle of the day',
+    answerPuzzle: bot => `  Answer with '${bot} puzzle <moves>'.`,
+    noPuzzleYet: bot => `There is no puzzle in this conversation yet. A puzzle can be posted every day, see the configuration of ${bot}.`,
+    solvedBy: names => `Solved by ${names.join(', ')}`,
+    notSolvedYet: 'Not solved yet',
+    puzzleStreaks: 'Puzzle streaks:',
+    streak: (name, current, best) => `${name}: ${current} in a row (best ${best})`,
+    noPuzzleToSolve: `There is no puzzle to solve in this conversation.`,
+    alreadySolved: `You already solved this puzzle. A new one comes tomorrow.`,
+    notTheSolution: (move, line) => `${move}${line.length > 0 ? ` after ${line.join(' ')}` : ''} is not the solution. Try again!`,
+    rightSoFar: (line, bot) => `Right so far: ${line.join(' ')}... and then? Answer with the whole line, ex. '${bot} puzzle ${line[0]} ...'.`,
+    solvedPuzzle: (player, line, streak) => [player, ` solved the puzzle with ${line.join(' ')}!`,
+      streak > 1 ? ` That's ${streak} puzzles in a row.` : ''],
+  },
+
+  fr: {
+    mentionForHelp: bot => ` Mentionnez ${bot} avec 'help' pour voir ce que je comprends.`,
+    onlySomeMayStart: bot => `Seules certaines personnes peuvent lancer des parties dans cette conversation, voir la configuration de ${bot}.`,
+
+    gameExists: `Cette partie existe déjà.`,
+    noFinishedGame: `Il n'y a pas de partie terminée dont jouer la revanche.`,
+    cannotImport: gameName => `Les parties de ${gameName} ne peuvent pas être importées.`,
+    importFailed: error => `Je ne peux pas importer cette partie : ${error}.`,
+    cannotStartFromPosition: gameName => `Les parties de ${gameName} ne peuvent pas commencer depuis une position.`,
+    badPosition: problem => `Je ne peux pas commencer depuis cette position : ${problem}.`,
+    aiLevels: maxLevel => `Les niveaux de l'IA vont de 1 à ${maxLevel}.`,
+    aiHasNoLevels: gameName => `L'IA de ${gameName} n'a pas de niveaux.`,
+    moveRefused: (label, san, error) => `Le coup ${label} ${san} a été refusé : ${error}`,
+
+    gameOver: `Cette partie est terminée.`,
+    gameNotFound: bot => `Partie introuvable.\nPour commencer une partie :\n'${bot} play chess with @joueur'.`,
+    handleNotFound: handle => `Partie #${handle} introuvable.`,
+    notPlayingInHandle: handle => `Vous ne jouez pas dans la partie #${handle}.`,
+    tooManyGames: (handles, bot) => `Plusieurs parties trouvées (${handles.join(', ')}). ` +
+      `Précisez laquelle par son numéro, ex. '${bot} ${handles[0] || '#1'} e4', ou en mentionnant l'autre @joueur.`,
+    notPlaying: `Vous ne jouez pas dans cette partie.`,
+    notYourTurn: `Ce n'est pas votre tour.`,
+    ambiguousMove: (move, candidates) => `'${move}' peut vouloir dire ${candidates.join(' ou ')}. Lequel vouliez-vous jouer ?`,
+    yourMove: players => ['À vous de jouer : ', ...players],
+    cannotFlip: gameName => `Les plateaux de ${gameName} ne peuvent pas être retournés.`,
+    cannotExport: gameName => `Les parties de ${gameName} ne peuvent pas être exportées en PGN.`,
+    boardMovedBelow: 'Ce plateau a été déplacé plus bas ',
+    startedFrom: 'Commencée depuis ',
+    pgnFile: name => `PGN de la partie, pour l'analyser dans d'autres outils : ${name}`,
+
+    nothingToAnswer: `Il n'y a pas de proposition de nulle ni de demande de reprise à laquelle répondre.`,
+    alreadyOfferedDraw: `Vous avez déjà proposé la nulle.`,
+    drawOfferPending: bot => `On vous propose déjà la nulle. Répondez par '${bot} accept draw' ou '${bot} decline draw'.`,
+    aiDeclinesDraw: `L'IA refuse la nulle.`,
+    offersDraw: (player, opponents, bot) => [player, ' propose la nulle à ', ...opponents,
+      `. Répondez par '${bot} accept draw' ou '${bot} decline draw'.`],
+    noDrawOffer: `Il n'y a pas de proposition de nulle à laquelle répondre.`,
+    ownDrawOffer: `Vous ne pouvez pas répondre à votre propre proposition de nulle.`,
+    drawDeclined: player => [player, ', votre proposition de nulle a été refusée.'],
+    noMoveToTakeBack: `Vous n'avez pas de coup à reprendre.`,
+    alreadyAskedTakeback: `Vous avez déjà demandé à reprendre un coup.`,
+    takebackPending: bot => `On vous demande déjà de reprendre un coup. Répondez par '${bot} accept takeback' ou '${bot} decline takeback'.`,
+    asksTakeback: (player, opponents, bot) => [player, ' demande à ', ...opponents,
+      ` de reprendre son dernier coup. Répondez par '${bot} accept takeback' ou '${bot} decline takeback'.`],
+    noTakebackRequest: `Il n'y a pas de demande de reprise à laquelle répondre.`,
+    ownTakebackRequest: `Vous ne pouvez pas répondre à votre propre demande de reprise.`,
+    takebackDeclined: player => [player, ', votre demande de reprise a été refusée.'],
+
+    reminder: (reminder, players, opponents, gameName, ago) => [reminder > 1 ? 'Second rappel : ' : 'Rappel : ', ...players,
+      `, c'est à vous de jouer dans ${gameName} contre ${opponents.join(', ')} (dernier coup ${ago}).`],
+    abandonWarning: date => ` La partie sera abandonnée s'il n'y a pas de coup d'ici le ${date}.`,
+    ago: (count, unit) => `il y a ${count} ${{day: 'jour', hour: 'heure', minute: 'minute'}[unit]}${count > 1 ? 's' : ''}`,
+    justNow: `à l'instant`,
+
+    noActiveGames: (mine, bot) => `${mine ? `Vous n'avez pas de partie en cours.` : `Il n'y a pas de partie en cours.`} Pour commencer une partie : '${bot} play chess with @joueur'.`,
+    activeGames: mine => mine ? `Vos parties en cours :` : `Parties en cours :`,
+    gameListEntry: (gameName, players, nextPlayers, moveNumber) =>
+      `${gameName} : ${players.join(' contre ')}  -  ${nextPlayers.join(', ')} doit jouer le coup ${moveNumber}`,
+    lastMove: ago => `, dernier coup ${ago}`,
+    board: 'plateau',
+
+    puzzleOfTheDay: 'Problème du jour',
+    answerPuzzle: bot => `  Répondez par '${bot} puzzle <coups>'.`,
+    noPuzzleYet: bot => `Il n'y a pas encore de problème dans cette conversation. Un problème peut être posté chaque jour, voir la configuration de ${bot}.`,
+    solvedBy: names => `Résolu par ${names.join(', ')}`,
+    notSolvedYet: 'Pas encore résolu',
+    puzzleStreaks: 'Séries de problèmes résolus :',
+    streak: (name, current, best) => `${name} : ${current} d'affilée (record ${best})`,
+    noPuzzleToSolve: `Il n'y a pas de problème à résoudre dans cette conversation.`,
+    alreadySolved: `Vous avez déjà résolu ce problème. Un nouveau arrive demain.`,
+    notTheSolution: (move, line) => `${move}${line.length > 0 ? ` après ${line.join(' ')}` : ''} n'est pas la solution. Essayez encore !`,
+    rightSoFar: (line, bot) => `Correct jusqu'ici : ${line.join(' ')}... et ensuite ? Répondez avec toute la ligne, ex. '${bot} puzzle ${line[0]} ...'.`,
+    solvedPuzzle: (player, line, streak) => [player, ` a résolu le problème avec ${line.join(' ')} !`,
+      streak > 1 ? ` Cela fait ${streak} problèmes d'affilée.` : ''],
+  },
+}
+
+// the languages a conversation can pick, the first one being the default
+const LANGUAGES = Object.keys(MESSAGES)
+
+// the messages in a language, in English for a language there are no messages in
+function messagesIn(language) {
+  return MESSAGES[language] || MESSAGES[LANGUAGES[0]]
+}
+
+module.exports = {
+  LANGUAGES,
+  messagesIn,
+}
@@ -0,0 +1,183 @@
+// Turns the many ways people write chess moves into something the Game API accepts
+//
+// Understood formats:
+//   SAN:               e4, Nf3, exd5, O-O, e8=Q+
+//   SAN, lowercase:    nf3, qxd5 (and bxc6, when it isn't also a pawn capture)
+//   UCI:               e2e4, e7e8q
+//   long algebraic:    e2-e4, Ng1-f3, Nb1xd2
+//   castling:          0-0, 0-0-0, o-o
+//   spoken:            knight to f3, pawn takes d5, queen from d1 to h5, castle kingside
+//
+// The Game API understands SAN ('san') and UCI ('bestmove', the format the chess AI replies with).
+
+const ChessEngine = require('./chess-engine')
+
+const FORMAT_SAN = 'san'
+const FORMAT_UCI = 'bestmove'
+
+const PIECE_WORDS = new Map([
+  ['king', 'K'],
+  ['queen', 'Q'],
+  ['rook', 'R'],
+  ['bishop', 'B'],
+  ['knight', 'N'],
+  ['pawn', 'P'],
+])
+const CAPTURE_WORDS = new Set(['takes', 'take', 'captures', 'capture', 'x'])
+const PROMOTION_WORDS = new Set(['promotes', 'promote', 'promoting', 'promotion', '='])
+const IGNORED_WORDS = new Set(['to', 'on', 'the', 'moves', 'move', 'goes', 'and', 'a', 'from'])
+const KINGSIDE_WORDS = new Set(['kingside', 'king-side', 'short'])
+const QUEENSIDE_WORDS = new Set(['queenside', 'queen-side', 'long'])
+const CASTLE_WORDS = new Set(['castle', 'castles', 'castling'])
+
+// squares holding a piece of the side to move, of the given type, that can legally move to `to`
+function findOrigins(position, type, to) {
+  const origins = ChessEngine.legalMoves(position)
+    .filter(move => move.piece.toUpperCase() === type && ChessEngine.squareName(move.to) === to)
+    .map(move => ChessEngine.squareName(move.from))
+  return origins.filter((from, i) => origins.indexOf(from) === i)
+}
+
+function uciMove(from, to, promotion) {
+  return {move: from + to + (promotion ? promotion.toLowerCase() : ''), format: FORMAT_UCI}
+}
+
+// a human readable (and re-parseable) long algebraic description, ex. 'Nb1-d2'
+function describe(position, from, to, promotion) {
+  const type = position.board[ChessEngine.squareIndex(from)].toUpperCase()
+  const capture = position.board[ChessEngine.squareIndex(to)] || (type === 'P' && to === position.enPassant)
+  return (type === 'P' ? '' : type) + from + (capture ? 'x' : '-') + to + (promotion ? '=' + promotion.toUpperCase() : '')
+}
+
+// picks the move if exactly one piece fits, otherwise lists what the player could have meant
+function resolveOrigins(position, input, type, to, origins, promotion) {
+  if (origins.length === 0) {
+    return {error: `No piece can make the move '${input}'.`}
+  }
+  if (origins.length > 1) {
+    return {candidates: origins.map(from => Object.assign(uciMove(from, to, promotion), {description: describe(position, from, to, promotion)}))}
+  }
+  if (type === 'P' && !promotion && to[1] === (position.turn === 'w' ? '8' : '1')) {
+    promotion = 'Q'
+  }
+  return uciMove(origins[0], to, promotion)
+}
+
+function castle(kingside) {
+  return {move: kingside ? 'O-O' : 'O-O-O', format: FORMAT_SAN}
+}
+
+function normalizeSpoken(position, input) {
+  const words = input.toLowerCase().split(/\s+/).filter(word => word && !IGNORED_WORDS.has(word))
+
+  if (words.some(word => CASTLE_WORDS.has(word))) {
+    const rest = words.filter(word => !CASTLE_WORDS.has(word))
+    if (rest.length === 0) {
+      return {candidates: [Object.assign(castle(true), {description: 'O-O'}), Object.assign(castle(false), {description: 'O-O-O'})]}
+    }
+    if (rest.length === 1 && KINGSIDE_WORDS.has(rest[0])) {
+      return castle(true)
+    }
+    if (rest.length === 1 && QUEENSIDE_WORDS.has(rest[0])) {
+      return castle(false)
+    }
+    return null
+  }
+
+  let type = null
+  let promotion = null
+  const squares = []
+  for (const word of words) {
+    if (PIECE_WORDS.has(word)) {
+      if (squares.length === 0 && !type) {
+        type = PIECE_WORDS.get(word)
+      } else if (squares.length > 0 && !promotion) {
+        promotion = PIECE_WORDS.get(word)
+      } else {
+        return null
+      }
+    } else if (/^[a-h][1-8]$/.test(word)) {
+      squares.push(word)
+    } else if (!CAPTURE_WORDS.has(word) && !PROMOTION_WORDS.has(word)) {
+      return null
+    }
+  }
+
+  if (squares.length < 1 || squares.length > 2 || (promotion && ['Q', 'R', 'B', 'N'].indexOf(promotion) < 0)) {
+    return null
+  }
+
+  const to = squares[squares.length - 1]
+  type = type || 'P'
+  let origins = findOrigins(position, type, to)
+  if (squares.length === 2) {
+    origins = origins.filter(from => from === squares[0])
+  }
+
+  return resolveOrigins(position, input, type, to, origins, promotion)
+}
+
+/**
+ * Normalizes a move for the Game API
+ * @param input: the move as typed by the player
+ * @param fen: the current position, used to work out which piece was meant
+ * @returns {move, format} when the move is understood,
+ *   {candidates: [{move, format, description}]} when it could mean several moves,
+ *   or {error} when it can't be understood at all
+ */
+function normalizeMove(input, fen) {
+  const text = input.trim()
+  const position = ChessEngine.parseFen(fen)
+  let match
+
+  // castling, with letter O or digit 0, any case
+  if ((match = /^([o0])-\1(-\1)?([+#]?)$/i.exec(text))) {
+    return castle(!match[2])
+  }
+
+  // UCI and long algebraic: e2e4, e2-e4, Ng1-f3, e7-e8=Q
+  if ((match = /^([kqrbnp])?([a-h][1-8])[-x:]?([a-h][1-8])=?([qrbn])?[+#]?$/i.exec(text))) {
+    return uciMove(match[2].toLowerCase(), match[3].toLowerCase(), match[4])
+  }
+
+  // SAN piece moves, with upper or lower case piece letters
+  if ((match = /^([KQRBNkqrbn])([a-h])?([1-8])?(x)?([a-h][1-8])[+#]?$/.exec(text))) {
+    const to = match[5]
+    let type = match[1].toUpperCase()
+
+    // 'bxc6' is a pawn capture in SAN, but might be a bishop capture typed in lower case
+    if (match[1] === 'b' && !match[2] && !match[3] && match[4] && Math.abs(to.charCodeAt(0) - 'b'.charCodeAt(0)) === 1) {
+      const pawnOrigins = findOrigins(position, 'P', to).filter(from => from[0] === 'b')
+      const bishopOrigins = findOrigins(position, 'B', to)
+      if (pawnOrigins.length === 0 && bishopOrigins.length === 0) {
+        return {move: text, format: FORMAT_SAN}
+      }
+      if (bishopOrigins.length === 0) {
+        return resolveOrigins(position, text, 'P', to, pawnOrigins, null)
+      }
+      if (pawnOrigins.length > 0) {
+        return resolveOrigins(position, text, 'B', to, pawnOrigins.concat(bishopOrigins), null)
+      }
+      type = 'B'
+    }
+
+    const origins = findOrigins(position, type, to)
+      .filter(from => (!match[2] || from[0] === match[2]) && (!match[3] || from[1] === match[3]))
+    if (origins.length === 0) {
+      // let the Game API explain why it isn't legal
+      return {move: type + text.slice(1), format: FORMAT_SAN}
+    }
+    return resolveOrigins(position, text, type, to, origins, null)
+  }
+
+  // anything else that looks like SAN goes straight to the Game API
+  if (!/\s/.test(text) && !CASTLE_WORDS.has(text.toLowerCase())) {
+    return {move: text, format: FORMAT_SAN}
+  }
+
+  return normalizeSpoken(position, text) || {error: `I don't understand the move '${text}'.`}
+}
+
+module.exports = {
+  normalizeMove,
+}
@@ -0,0 +1,227 @@
+// Exports chess games in Portable Game Notation, for analysis in other tools, and imports them to be continued here
+//
+// The moves come from the game's states: the SAN recorded by the in-process rules (state.last_move),
+// or, for states from the Game API, the legal move that leads from one position to the next.
+
+const ChessEngine = require('./chess-engine')
+
+const PLAYER_TAGS = ['White', 'Black']
+const LINE_LENGTH = 80
+
+const TAG = /\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/g
+const RESULTS = new Set(['1-0', '0-1', '1/2-1/2', '*'])
+const SAN = /^([KQRBN]?[a-h]?[1-8]?x?[a-h][1-8](=?[QRBNqrbn])?|[O0]-[O0](-[O0])?)[+#]?[!?]*$/
+const FEN = /^[pnbrqkPNBRQK1-8]+(\/[pnbrqkPNBRQK1-8]+){7}(\s+\S+){1,5}$/
+
+// the pieces, side to move, castling rights and en passant square, without the move counters
+function positionKey(fen) {
+  return fen.split(' ').slice(0, 4).join(' ')
+}
+
+// the moves of the game in SAN, leaving out states that only record a result (a resignation, a timeout, ...)
+function sanMoves(gameStates) {
+  const moves = []
+  for (let i = 1; i < gameStates.length; i++) {
+    const previous = gameStates[i - 1].state
+    const state = gameStates[i].state
+    if (state.fen === previous.fen) {
+      continue
+    }
+    if (state.last_move) {
+      moves.push(state.last_move.san)
+    } else {
+      const position = ChessEngine.parseFen(previous.fen)
+      const move = ChessEngine.legalMoves(position).find(legalMove =>
+        positionKey(ChessEngine.toFen(ChessEngine.makeMove(position, legalMove))) === positionKey(state.fen))
+      if (!move) {
+        throw new Error(`No legal move leads to the position of state ${gameStates[i].version}`)
+      }
+      moves.push(ChessEngine.toSan(position, move))
+    }
+  }
+  return moves
+}
+
+function result(state) {
+  if (!state.game_over || state.abandoned) {
+    return '*'
+  }
+  if (state.winners.length === 1) {
+    return state.winners[0] === 0 ? '1-0' : '0-1'
+  }
+  return '1/2-1/2'
+}
+
+// ex. '2018.03.14'
+function pgnDate(time) {
+  if (!time) {
+    return '????.??.??'
+  }
+  const date = new Date(time)
+  const pad = number => String(number).padStart(2, '0')
+  return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`
+}
+
+// [{number, white, san}], numbering the moves on from the start position
+function numberMoves(startFen, moves) {
+  const start = ChessEngine.parseFen(startFen)
+  let number = start.fullmove
+  let white = start.turn === 'w'
+
+  return moves.map(san => {
+    const numberedMove = {number, white, san}
+    if (!white) {
+      number++
+    }
+    white = !white
+    return numberedMove
+  })
+}
+
+// the moves of a game so far, see numberMoves
+function numberedMoves(game) {
+  return numberMoves(game.game_states[0].state.fen, sanMoves(game.game_states))
+}
+
+// moves numbered from the start position, then the comment if any and the result, wrapped to lines of at most LINE_LENGTH characters
+function moveText(startFen, moves, comment, gameResult) {
+  const tokens = []
+  numberMoves(startFen, moves).forEach((move, i) => {
+    if (move.white) {
+      tokens.push(`${move.number}.`)
+    } else if (i === 0) {
+      tokens.push(`${move.number}...`)
+    }
+    tokens.push(move.san)
+  })
+  if (comment) {
+    tokens.push(`{${comment.replace(/[{}]/g, '')}}`)
+  }
+  tokens.push(gameResult)
+
+  const lines = ['']
+  tokens.forEach(token => {
+    const line = lines[lines.length - 1]
+    if (line.length > 0 && line.length + 1 + token.length > LINE_LENGTH) {
+      lines.push(token)
+    } else {
+      lines[lines.length - 1] = line.length > 0 ? `${line} ${token}` : token
+    }
+  })
+  return lines.join('\n')
+}
+
+/**
+ * Builds the PGN of a game, finished or not
+ * @param variant: the Variant tag, ex. 'Chess960'
+ * @returns the PGN text, with a comment explaining the result of finished games
+ */
+function toPgn(game, {variant} = {}) {
+  const startFen = game.game_states[0].state.fen
+  const state = game.current_game_state.state
+  const gameResult = result(state)
+  // expecting contacts in the format 'stride:5a430b108111c32c4340fc8f:@someone'
+  const players = game.game_players.map(game_player => game_player.contact.split(':', 3)[2])
+  const aiPlayer = game.game_players.findIndex(game_player => game_player.contact.split(':', 3)[1] === '_none')
+
+  const tags = [
+    ['Event', `Tabletop ${game.game_name || 'chess'}${game.handle ? ` #${game.handle}` : ''}`],
+    ['Site', 'Stride'],
+    ['Date', pgnDate(game.started_at)],
+    ['Round', '-'],
+    ['White', players[0]],
+    ['Black', players[1]],
+    ['Result', gameResult],
+  ]
+  if (game.ai_level && aiPlayer >= 0) {
+    tags.push([`${PLAYER_TAGS[aiPlayer]}AILevel`, String(game.ai_level)])
+  }
+  if (variant) {
+    tags.push(['Variant', variant])
+  }
+  if (variant || startFen !== ChessEngine.START_FEN) {
+    tags.push(['SetUp', '1'], ['FEN', startFen])
+  }
+
+  const escape = value => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+  const header = tags.map(([name, value]) => `[${name} "${escape(value)}"]`).join('\n')
+  const comment = state.game_over ? state.message : null
+
+  return `${header}\n\n${moveText(startFen, sanMoves(game.game_states), comment, gameResult)}\n`
+}
+
+// ex. '12.' for White's 12th move, '12...' for Black's
+function moveLabel(position) {
+  return `${position.fullmove}${position.turn === 'w' ? '.' : '...'}`
+}
+
+/**
+ * Reads a game in PGN, or a bare position in FEN, checking every move against the rules
+ * @returns {fen, moves: [{label, san}], chess960} to replay, fen being null for the standard starting position,
+ *   or {error} saying what is wrong, with the number of the first move that can't be read or isn't legal
+ */
+function readPgn(text) {
+  const record = text.trim()
+  if (record.length === 0) {
+    return {error: `there is no PGN or FEN to import`}
+  }
+  if (FEN.test(record)) {
+    return {fen: record, moves: [], chess960: false}
+  }
+
+  const tags = {}
+  let moveText = record.replace(TAG, (tag, name, value) => {
+    tags[name] = value.replace(/\\(.)/g, '$1')
+    return ' '
+  })
+  // comments, annotations and variations are left out, only the main line is replayed
+  moveText = moveText.replace(/\{[^}]*\}/g, ' ').replace(/\$\d+/g, ' ')
+  while (/\([^()]*\)/.test(moveText)) {
+    moveText = moveText.replace(/\([^()]*\)/g, ' ')
+  }
+
+  const chess960 = /960|fischer/i.test(tags.Variant || '')
+  if (chess960 && !tags.FEN) {
+    return {error: `a Chess960 game needs the position it started from (a FEN tag)`}
+  }
+
+  let position
+  try {
+    position = ChessEngine.parseFen(tags.FEN || ChessEngine.START_FEN)
+    ChessEngine.validatePosition(position)
+  } catch (error) {
+    return {error: `the FEN tag is not a position to start from (${error.message})`}
+  }
+
+  const moves = []
+  const words = moveText.split(/\s+/).map(word => word.replace(/^\d+\.+/, '')).filter(word => word.length > 0)
+  for (const word of words) {
+    if (RESULTS.has(word)) {
+      break
+    }
+    const label = moveLabel(position)
+    if (!SAN.test(word)) {
+      return {error: `move ${label} '${word}' can't be read`}
+    }
+    if (ChessEngine.getStatus(position).gameOver) {
+      return {error: `there is a move ${label} ${word} after the end of the game`}
+    }
+    const move = ChessEngine.fromSan(position, word)
+    if (!move) {
+      return {error: `move ${label} ${word} is not legal`}
+    }
+    moves.push({label, san: ChessEngine.toSan(position, move)})
+    position = ChessEngine.makeMove(position, move)
+  }
+
+  if (ChessEngine.getStatus(position).gameOver) {
+    return {error: `the game is already over`}
+  }
+  return {fen: tags.FEN || null, moves, chess960}
+}
+
+module.exports = {
+  toPgn,
+  readPgn,
+  numberedMoves,
+}
@@ -0,0 +1,122 @@
+// Chess puzzles, posted once a day to the conversations that asked for them
+//
+// The puzzles come from puzzle-set.json:
+//   fen:        the position to solve
+//   solution:   the whole line in SAN, the opponent's replies included
+//   mate:       for "mate in N" puzzles, N (then any move that mates is right, not only the one of the solution)
+//   goal:       for other puzzles, what to achieve, ex. 'win the queen'
+//
+// Answers may give the whole line ('Qg8+ Rxg8 Nf7#'), or leave out the replies ('Qg8+ Nf7#').
+
+const ChessEngine = require('./chess-engine')
+const MoveNormalizer = require('./move-normalizer')
+
+const PUZZLES = require('./puzzle-set.json')
+
+const DAY = 24 * 60 * 60 * 1000
+
+function getPuzzle(id) {
+  return PUZZLES.find(puzzle => puzzle.id === id)
+}
+
+// the number of days since 1970-01-01, UTC
+function dayNumber(now = Date.now()) {
+  return Math.floor(now / DAY)
+}
+
+// every conversation gets the same puzzle on a given day, going through the whole set before starting over
+function puzzleOfTheDay(day = dayNumber()) {
+  return PUZZLES[day % PUZZLES.length]
+}
+
+// ex. 'White to play and mate in 2'
+function describeGoal(puzzle) {
+  const side = ChessEngine.parseFen(puzzle.fen).turn === 'w' ? 'White' : 'Black'
+  return `${side} to play and ${puzzle.mate ? `mate in ${puzzle.mate}` : puzzle.goal}`
+}
+
+// the legal move meant by a word of the answer, or null
+function findMove(position, word) {
+  const normalized = MoveNormalizer.normalizeMove(word, ChessEngine.toFen(position))
+  if (!normalized.move) {
+    return null
+  }
+  return normalized.format === 'bestmove' ? ChessEngine.fromUci(position, normalized.move) : ChessEngine.fromSan(position, normalized.move)
+}
+
+/**
+ * Checks an answer against the solution of a puzzle
+ * @param answer: moves separated by spaces, move numbers allowed ('1. Qg8+ Rxg8 2. Nf7#')
+ * @returns {solved: true, line} when the answer solves the puzzle,
+ *   {line} when it is right so far, the line ending with the reply to the last move,
+ *   {wrong, line} when a move isn't the solution, wrong being the move in SAN,
+ *   or {error} when a move can't be understood, isn't legal, or is a reply other than the one of the solution
+ */
+function checkAnswer(puzzle, answer) {
+  const words = answer.split(/[\s,]+/).map(word => word.replace(/^\d+\.+/, '')).filter(word => word.length > 0)
+  if (words.length === 0) {
+    return {error: `There are no moves in that answer.`}
+  }
+  const solution = puzzle.solution
+  let position = ChessEngine.parseFen(puzzle.fen)
+  const solver = position.turn
+  const line = []
+  let i = 0
+
+  const play = move => {
+    line.push(ChessEngine.toSan(position, move))
+    position = ChessEngine.makeMove(position, move)
+    i++
+  }
+
+  for (const word of words) {
+    if (i >= solution.length) {
+      break
+    }
+
+    if (position.turn !== solver) {
+      // a reply left out of the answer is the one of the solution, and a reply written out has to be it
+      const expected = ChessEngine.fromSan(position, solution[i])
+      const reply = findMove(position, word)
+      const before = line.join(' ')
+      play(expected)
+      if (reply && ChessEngine.toUci(reply) === ChessEngine.toUci(expected)) {
+        continue
+      }
+      if (reply && !findMove(position, word)) {
+        return {error: `The reply${before ? ` to ${before}` : ''} in this puzzle is ${solution[i - 1]}, not '${word}'.`}
+      }
+    }
+
+    const move = findMove(position, word)
+    if (!move) {
+      return {error: `'${word}' is not a legal move${line.length > 0 ? ` after ${line.join(' ')}` : ''}.`}
+    }
+    const expected = ChessEngine.fromSan(position, solution[i])
+    const mates = puzzle.mate && ChessEngine.getStatus(ChessEngine.makeMove(position, move)).checkmate
+    if (!mates && !(expected && ChessEngine.toUci(expected) === ChessEngine.toUci(move))) {
+      return {wrong: ChessEngine.toSan(position, move), line}
+    }
+
+    play(move)
+    if (mates) {
+      return {solved: true, line}
+    }
+  }
+
+  if (i >= solution.length) {
+    return {solved: true, line}
+  }
+  if (position.turn !== solver && line.length > 0) {
+    line.push(solution[i])
+  }
+  return {line}
+}
+
+module.exports = {
+  getPuzzle,
+  dayNumber,
+  puzzleOfTheDay,
+  describeGoal,
+  checkAnswer,
+}
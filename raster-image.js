@@ -0,0 +1,148 @@
+const zlib = require('zlib')
+
+// A small RGB raster, drawn on pixel by pixel and encoded as a PNG, so that images need neither native modules nor a network service.
+//
+// Colors are [r, g, b] arrays of 0-255 values.
+
+// the 5x7 glyphs of the characters used in board coordinates
+const GLYPHS = {
+  'a': ['.....', '.....', '.###.', '....#', '.####', '#...#', '.####'],
+  'b': ['#....', '#....', '####.', '#...#', '#...#', '#...#', '####.'],
+  'c': ['.....', '.....', '.###.', '#....', '#....', '#....', '.###.'],
+  'd': ['....#', '....#', '.####', '#...#', '#...#', '#...#', '.####'],
+  'e': ['.....', '.....', '.###.', '#...#', '#####', '#....', '.###.'],
+  'f': ['..##.', '.#...', '.#...', '####.', '.#...', '.#...', '.#...'],
+  'g': ['.....', '.####', '#...#', '#...#', '.####', '....#', '.###.'],
+  'h': ['#....', '#....', '####.', '#...#', '#...#', '#...#', '#...#'],
+  '1': ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+  '2': ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+  '3': ['####.', '....#', '....#', '.###.', '....#', '....#', '####.'],
+  '4': ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+  '5': ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+  '6': ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+  '7': ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+  '8': ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+}
+const GLYPH_WIDTH = 5
+const GLYPH_HEIGHT = 7
+
+const CRC_TABLE = Array.from({length: 256}, (value, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+function crc32(buffer) {
+  let crc = 0xffffffff
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4)
+  length.writeUInt32BE(data.length, 0)
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data])
+  const crc = Buffer.alloc(4)
+  crc.writeUInt32BE(crc32(typeAndData), 0)
+  return Buffer.concat([length, typeAndData, crc])
+}
+
+class RasterImage {
+  constructor(width, height, background) {
+    this.width = width
+    this.height = height
+    this.pixels = Buffer.alloc(width * height * 3)
+    this.fillRect(0, 0, width, height, background)
+  }
+
+  // blends a color into a pixel, alpha going from 0 (unchanged) to 1 (replaced)
+  blendPixel(x, y, color, alpha = 1) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height || alpha <= 0) {
+      return
+    }
+    const offset = (y * this.width + x) * 3
+    for (let channel = 0; channel < 3; channel++) {
+      this.pixels[offset + channel] = Math.round(this.pixels[offset + channel] * (1 - alpha) + color[channel] * alpha)
+    }
+  }
+
+  fillRect(x, y, width, height, color, alpha = 1) {
+    for (let row = y; row < y + height; row++) {
+      for (let column = x; column < x + width; column++) {
+        this.blendPixel(column, row, color, alpha)
+      }
+    }
+  }
+
+  /**
+   * Draws a shape given by its signed distance function, anti-aliased and outlined
+   * @param distance: (u, v) => the distance from the point to the edge of the shape, negative inside,
+   *   in units of the size of the box the shape is drawn in (u and v going from 0 to 1, v downwards)
+   */
+  fillShape(x, y, size, distance, {fill, outline, outlineWidth}) {
+    const pixel = 1 / size
+    for (let row = 0; row < size; row++) {
+      for (let column = 0; column < size; column++) {
+        const d = distance((column + 0.5) / size, (row + 0.5) / size)
+        const coverage = Math.min(1, Math.max(0, 0.5 - d / pixel))
+        if (coverage > 0) {
+          const edge = Math.min(1, Math.max(0, 0.5 + (d + outlineWidth) / pixel))
+          const color = fill.map((channel, i) => channel * (1 - edge) + outline[i] * edge)
+          this.blendPixel(x + column, y + row, color, coverage)
+        }
+      }
+    }
+  }
+
+  // draws text with the built-in pixel font, leaving out characters it has no glyph for
+  drawText(x, y, text, color, scale = 1) {
+    text.split('').forEach((character, i) => {
+      const glyph = GLYPHS[character]
+      if (!glyph) {
+        return
+      }
+      glyph.forEach((line, row) => line.split('').forEach((dot, column) => {
+        if (dot === '#') {
+          this.fillRect(x + (i * (GLYPH_WIDTH + 1) + column) * scale, y + row * scale, scale, scale, color)
+        }
+      }))
+    })
+  }
+
+  textSize(text, scale = 1) {
+    return {width: (text.length * (GLYPH_WIDTH + 1) - 1) * scale, height: GLYPH_HEIGHT * scale}
+  }
+
+  // the image as an 8-bit RGB PNG
+  toPng() {
+    const rowLength = this.width * 3
+    const scanlines = Buffer.alloc((rowLength + 1) * this.height)
+    for (let row = 0; row < this.height; row++) {
+      // filter type 0 (none) before every row
+      scanlines[row * (rowLength + 1)] = 0
+      this.pixels.copy(scanlines, row * (rowLength + 1) + 1, row * rowLength, (row + 1) * rowLength)
+    }
+
+    const header = Buffer.alloc(13)
+    header.writeUInt32BE(this.width, 0)
+    header.writeUInt32BE(this.height, 4)
+    header[8] = 8 // bits per channel
+    header[9] = 2 // RGB
+    header[10] = 0 // deflate
+    header[11] = 0 // adaptive filtering
+    header[12] = 0 // no interlacing
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(scanlines)),
+      pngChunk('IEND', Buffer.alloc(0)),
+    ])
+  }
+}
+
+module.exports = RasterImage
@@ -0,0 +1,34 @@
+const assert = require('assert')
+const {describe, it} = require('node:test')
+
+const CommandParser = require('../command-parser')
+
+const games = new Map([['chess', 'chess'], ['connect-four', 'connect-four'], ['connect4', 'connect-four']])
+
+function parse(text) {
+  const tokens = CommandParser.tokenize([{type: 'text', text}], {botName: '@Tabletop'})
+  return CommandParser.parse(tokens, {games})
+}
+
+describe('CommandParser', () => {
+  describe('moves', () => {
+    it('reads a move, with or without its game', () => {
+      assert.deepStrictEqual(parse('e4').command, {action: 'move', move: 'e4'})
+      assert.strictEqual(parse('connect-four 4').command.move, '4')
+    })
+
+    it('reads the column letters of connect-four, even the filler word a', () => {
+      ['a', 'd', 'g'].forEach(letter => {
+        const {command} = parse(`connect-four ${letter}`)
+        assert.deepStrictEqual(command, {action: 'move', gameName: 'connect-four', handle: undefined, move: letter, opponent: undefined})
+      })
+      assert.strictEqual(parse('a').command.move, 'a')
+      assert.strictEqual(parse('please connect4 a').command.move, 'a')
+    })
+
+    it('still drops a as a filler word around another move', () => {
+      assert.strictEqual(parse('play a game of connect-four with AI').command.action, 'start')
+      assert.strictEqual(parse('connect-four a 4').command.move, '4')
+    })
+  })
+})
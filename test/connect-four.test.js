@@ -0,0 +1,24 @@
+const assert = require('assert')
+const {describe, it} = require('node:test')
+
+const ConnectFour = require('../games/connect-four')
+
+describe('connect-four', () => {
+  const state = {board: Array(6).fill('.......')}
+
+  it('reads column numbers and letters alike', () => {
+    assert.deepStrictEqual(ConnectFour.parseMove('1', state), {move: '0', format: 'column'})
+    assert.deepStrictEqual(ConnectFour.parseMove('a', state), {move: '0', format: 'column'})
+    assert.deepStrictEqual(ConnectFour.parseMove('D', state), ConnectFour.parseMove('4', state))
+    assert.deepStrictEqual(ConnectFour.parseMove('g', state), {move: '6', format: 'column'})
+  })
+
+  it('refuses columns off the board', () => {
+    assert.ok(ConnectFour.parseMove('8', state).error)
+    assert.ok(ConnectFour.parseMove('h', state).error)
+  })
+
+  it('advertises only moves it reads', () => {
+    ConnectFour.examples.forEach(example => assert.ok(!ConnectFour.parseMove(example, state).error, example))
+  })
+})
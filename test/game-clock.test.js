@@ -0,0 +1,59 @@
+const assert = require('assert')
+const {describe, it} = require('node:test')
+
+const GameClock = require('../game-clock')
+
+const MINUTE = 60 * 1000
+
+describe('GameClock', () => {
+  describe('parseTimeControl', () => {
+    it('reads Fischer and correspondence time controls', () => {
+      assert.deepStrictEqual(GameClock.parseTimeControl('10+5'), {initial: 10 * MINUTE, increment: 5000})
+      assert.deepStrictEqual(GameClock.parseTimeControl('12h/move'), {perMove: 12 * 60 * MINUTE})
+      assert.strictEqual(GameClock.describeTimeControl(GameClock.parseTimeControl('3d/move')), '3d/move')
+    })
+
+    it('refuses anything else', () => {
+      assert.strictEqual(GameClock.parseTimeControl('0+5'), null)
+      assert.strictEqual(GameClock.parseTimeControl('ten minutes'), null)
+    })
+  })
+
+  it('counts down only for the players to move', () => {
+    const clock = GameClock.startClock(GameClock.parseTimeControl('1+0'), 2, 0)
+    assert.strictEqual(GameClock.remainingTime(clock, 0, [0], 20000), 40000)
+    assert.strictEqual(GameClock.remainingTime(clock, 1, [0], 20000), MINUTE)
+    assert.strictEqual(GameClock.flaggedPlayer(clock, [0], 20000), undefined)
+    assert.strictEqual(GameClock.flaggedPlayer(clock, [0], MINUTE), 0)
+  })
+
+  it('adds the increment when a player moves', () => {
+    const clock = GameClock.startClock(GameClock.parseTimeControl('1+2'), 2, 0)
+    GameClock.punchClock(clock, 0, 10000)
+    assert.deepStrictEqual(clock.remaining, [52000, MINUTE])
+    assert.strictEqual(clock.turn_started_at, 10000)
+  })
+
+  describe('stopClock', () => {
+    it('keeps the time left when the game ended, once nobody is to move', () => {
+      const clock = GameClock.startClock(GameClock.parseTimeControl('1+0'), 2, 0)
+      GameClock.punchClock(clock, 0, 5000)
+      GameClock.stopClock(clock, [1], 35000)
+      assert.strictEqual(GameClock.remainingTime(clock, 0, [], 90000), 55000)
+      assert.strictEqual(GameClock.remainingTime(clock, 1, [], 90000), 30000)
+    })
+
+    it('shows a flagged player at 0:00', () => {
+      const clock = GameClock.startClock(GameClock.parseTimeControl('1+0'), 2, 0)
+      GameClock.stopClock(clock, [0], MINUTE + 1500)
+      assert.strictEqual(GameClock.formatTime(GameClock.remainingTime(clock, 0, [])), '0:00')
+      assert.strictEqual(GameClock.formatTime(GameClock.remainingTime(clock, 1, [])), '1:00')
+    })
+  })
+
+  it('formats days, hours and minutes', () => {
+    assert.strictEqual(GameClock.formatTime(2 * 24 * 60 * MINUTE + 5 * 60 * MINUTE), '2d 5h')
+    assert.strictEqual(GameClock.formatTime(62 * MINUTE + 3000), '1:02:03')
+    assert.strictEqual(GameClock.formatTime(4 * MINUTE + 59000), '4:59')
+  })
+})
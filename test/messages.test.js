@@ -0,0 +1,28 @@
+const assert = require('assert')
+const {describe, it} = require('node:test')
+
+const ConversationSettings = require('../conversation-settings')
+const Messages = require('../messages')
+
+describe('Messages', () => {
+  const english = Messages.messagesIn('en')
+
+  it('has every message in every language', () => {
+    Messages.LANGUAGES.forEach(language => {
+      const messages = Messages.messagesIn(language)
+      assert.deepStrictEqual(Object.keys(messages).sort(), Object.keys(english).sort(), language)
+      Object.keys(english).forEach(name => assert.strictEqual(typeof messages[name], typeof english[name], `${language} ${name}`))
+    })
+  })
+
+  it('replies in the language of the conversation, in English by default', () => {
+    assert.strictEqual(Messages.messagesIn(ConversationSettings.read({}).language), english)
+    assert.strictEqual(Messages.messagesIn(ConversationSettings.read({language: 'fr'}).language).notYourTurn, `Ce n'est pas votre tour.`)
+    assert.strictEqual(Messages.messagesIn('xx'), english)
+  })
+
+  it('only saves a language there are messages in', () => {
+    assert.strictEqual(ConversationSettings.validate({language: 'fr'}).settings.language, 'fr')
+    assert.deepStrictEqual(ConversationSettings.validate({language: 'xx'}).errors, [`language should be 'en' or 'fr'`])
+  })
+})
@@ -0,0 +1,27 @@
+const assert = require('assert')
+const {describe, it} = require('node:test')
+
+const Puzzles = require('../puzzles')
+
+describe('Puzzles', () => {
+  describe('checkAnswer', () => {
+    const winTheQueen = Puzzles.getPuzzle(3) // Nc7+ Kd7 Nxd5
+    const mateInTwo = Puzzles.getPuzzle(2) // Qg8+ Rxg8 Nf7#
+
+    it('solves with the whole line, or with the replies left out', () => {
+      assert.deepStrictEqual(Puzzles.checkAnswer(winTheQueen, '1. Nc7+ Kd7 2. Nxd5'), {solved: true, line: ['Nc7+', 'Kd7', 'Nxd5']})
+      assert.deepStrictEqual(Puzzles.checkAnswer(winTheQueen, 'Nc7+ Nxd5'), {solved: true, line: ['Nc7+', 'Kd7', 'Nxd5']})
+      assert.deepStrictEqual(Puzzles.checkAnswer(mateInTwo, 'Qg8+ Rxg8 Nf7#'), {solved: true, line: ['Qg8+', 'Rxg8', 'Nf7#']})
+    })
+
+    it('refuses a written out reply other than the one of the solution', () => {
+      assert.deepStrictEqual(Puzzles.checkAnswer(winTheQueen, 'Nc7+ Kd8 Nxd5'),
+        {error: `The reply to Nc7+ in this puzzle is Kd7, not 'Kd8'.`})
+    })
+
+    it('tells the first move that is not the solution', () => {
+      assert.deepStrictEqual(Puzzles.checkAnswer(winTheQueen, 'Nd6+'), {wrong: 'Nd6+', line: []})
+      assert.deepStrictEqual(Puzzles.checkAnswer(winTheQueen, 'Nc7+'), {line: ['Nc7+', 'Kd7']})
+    })
+  })
+})